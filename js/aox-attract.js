@@ -0,0 +1,130 @@
+import MotionPolicy from './motion-policy.js';
+
+/**
+ * AOX Attract Mode
+ * After `idleDelay` seconds without interaction (while the AOX section is on screen) cycles
+ * through the configured ambiti: opens the matching `.aox-tile` panel and morphs the cloud.
+ * Any pointer movement, tap, wheel or key press stops the cycle and restarts the idle timer.
+ * Never cycles under reduced motion (MotionPolicy): a page that animates on its own is what it opts out of.
+ *
+ * Desktop grid only: the caller creates it while the AOX scene is running in that layout and disposes it
+ * otherwise. The open panel gets `.is-attract` (mirrors :hover); a tile the user opened (hover, `.is-open`) holds the cycle.
+ * @param {HTMLElement} section - The AOX section (visibility + tile lookup)
+ * @param {{enabled: boolean, idleDelay: number, dwell: number, order: Array<string>|null}} config
+ * @returns {{stop: Function, dispose: Function}|null}
+ */
+export function initAoxAttract(section, config) {
+    if (!section || !config || !config.enabled) return null;
+
+    const INTERACTION_EVENTS = ['pointermove', 'pointerdown', 'wheel', 'keydown', 'touchstart'];
+
+    const tiles = new Map();
+    section.querySelectorAll('.aox-tile[data-ambito]').forEach(tile => tiles.set(tile.dataset.ambito, tile));
+
+    const order = (config.order || []).filter(id => tiles.has(id));
+    if (order.length === 0) {
+        console.warn('[AOX Attract] No ambiti with a tile to cycle, attract mode disabled');
+        return null;
+    }
+
+    let isVisible = false;
+    let isCycling = false;
+    let idleTimer = null;
+    let dwellTimer = null;
+    let index = 0;
+    let activeTile = null;
+
+    function setTile(tile) {
+        if (activeTile) activeTile.classList.remove('is-attract');
+        activeTile = tile;
+        if (tile) tile.classList.add('is-attract');
+    }
+
+    function step() {
+        const ambito = order[index % order.length];
+        index++;
+
+        setTile(tiles.get(ambito));
+        window.dispatchEvent(new CustomEvent('aoxStateChange', {
+            detail: { ambito, source: 'attract' }
+        }));
+
+        dwellTimer = setTimeout(step, config.dwell * 1000);
+    }
+
+    function startCycle() {
+        idleTimer = null;
+        if (!isVisible || isCycling || MotionPolicy.reduced) return;
+
+        // L'utente sta già guardando un ambito (hover fermo o tile aperta): aspetta ancora
+        if (section.querySelector('.aox-tile:hover, .aox-tile.is-open')) {
+            armIdleTimer();
+            return;
+        }
+
+        isCycling = true;
+        console.log('[AOX Attract] Idle: cycling ambiti');
+        step();
+    }
+
+    function stopCycle() {
+        clearTimeout(dwellTimer);
+        dwellTimer = null;
+        if (!isCycling) return;
+
+        isCycling = false;
+        setTile(null);
+        window.dispatchEvent(new CustomEvent('aoxStateChange', {
+            detail: { ambito: null, source: 'attract' }
+        }));
+    }
+
+    function armIdleTimer() {
+        clearTimeout(idleTimer);
+        idleTimer = isVisible ? setTimeout(startCycle, config.idleDelay * 1000) : null;
+    }
+
+    // Capture phase: the cycle is torn down before tile handlers see the same tap/hover
+    function onInteraction() {
+        stopCycle();
+        armIdleTimer();
+    }
+
+    INTERACTION_EVENTS.forEach(type => {
+        window.addEventListener(type, onInteraction, { capture: true, passive: true });
+    });
+
+    const visibilityObserver = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            isVisible = entry.isIntersecting;
+            if (isVisible) {
+                armIdleTimer();
+            } else {
+                clearTimeout(idleTimer);
+                idleTimer = null;
+                stopCycle();
+            }
+        });
+    }, { threshold: 0.2 });
+    visibilityObserver.observe(section);
+
+    // Preference switched live: stop the cycle and restart the countdown (startCycle checks the policy again)
+    const onMotionChange = (reduced) => {
+        if (reduced) stopCycle();
+        armIdleTimer();
+    };
+    MotionPolicy.subscribe(onMotionChange);
+
+    return {
+        stop: onInteraction,
+        dispose: () => {
+            stopCycle();
+            clearTimeout(idleTimer);
+            visibilityObserver.disconnect();
+            MotionPolicy.unsubscribe(onMotionChange);
+            INTERACTION_EVENTS.forEach(type => {
+                window.removeEventListener(type, onInteraction, { capture: true });
+            });
+        }
+    };
+}
@@ -0,0 +1,355 @@
+/**
+ * AoxBakeFormat Module
+ * Binary point-cloud format for AOX morph targets (.aox) + legacy JSON fallback.
+ * Deliberately free of Three.js imports so the baker tools can share it.
+ *
+ * Layout (little-endian):
+ *  0   char[4]    magic "AOXB"
+ *  4   uint16     format version
+ *  6   uint8      encoding (1 = Int16 quantized, 2 = Float16)
+ *  7   uint8      channel flags (AoxChannel bitmask)
+ *  8   uint32     point count
+ *  12  float32[3] bounds min
+ *  24  float32[3] bounds max
+ *  36  float32    quantization scale
+ *  40  uint32     metadata length (UTF-8 JSON right after the header)
+ *  44  uint32     reserved
+ *  48  metadata, zero-padded to a 4-byte boundary, then count * 3 positions
+ *
+ * Optional channels follow the positions in flag order, each starting on a 4-byte boundary:
+ *  COLOR   count * 3 uint8   linear RGB, 0..255 -> 0..1
+ *  SIZE    count     uint16  Float16 point size multiplier (1.0 = default)
+ *  NORMAL  count * 3 int8    unit normal, -127..127 -> -1..1
+ *  GROUP   count     uint8   source model index of composite bakes (staggered arrival)
+ *
+ * Decoding: position = boundsCenter + stored * scale
+ * Version 1 files carry no channels (flags = 0) and decode unchanged.
+ */
+
+export const AOX_MAGIC = 'AOXB';
+export const AOX_VERSION = 2;
+export const AOX_EXTENSION = '.aox';
+export const AOX_HEADER_SIZE = 48;
+
+export const AoxEncoding = {
+    INT16: 1,
+    FLOAT16: 2
+};
+
+export const AoxChannel = {
+    COLOR: 1,
+    SIZE: 2,
+    NORMAL: 4,
+    GROUP: 8
+};
+
+const INT16_MAX = 32767;
+
+const align4 = (n) => Math.ceil(n / 4) * 4;
+
+// Byte size per point of each optional channel, in layout order
+const CHANNEL_LAYOUT = [
+    { flag: AoxChannel.COLOR, key: 'colors', bytes: 3 },
+    { flag: AoxChannel.SIZE, key: 'sizes', bytes: 2 },
+    { flag: AoxChannel.NORMAL, key: 'normals', bytes: 3 },
+    { flag: AoxChannel.GROUP, key: 'groups', bytes: 1 }
+];
+
+// --- FLOAT16 HELPERS ---
+// DataView#setFloat16 is not widely available yet, so we convert by hand.
+const f32 = new Float32Array(1);
+const u32 = new Uint32Array(f32.buffer);
+
+function toHalf(value) {
+    f32[0] = value;
+    const x = u32[0];
+    const sign = (x >>> 16) & 0x8000;
+    let exp = ((x >>> 23) & 0xff) - 127 + 15;
+    let mant = x & 0x7fffff;
+
+    if (exp >= 0x1f) return sign | 0x7c00; // Overflow -> Infinity
+    if (exp <= 0) {
+        if (exp < -10) return sign; // Underflow -> signed zero
+        mant = (mant | 0x800000) >> (1 - exp);
+        return sign | ((mant + 0x1000) >> 13);
+    }
+    // Round to nearest (carry may bump the exponent, which is still correct)
+    return (sign | (exp << 10) | (mant >> 13)) + ((mant >> 12) & 1);
+}
+
+function fromHalf(h) {
+    const sign = h & 0x8000 ? -1 : 1;
+    const exp = (h >> 10) & 0x1f;
+    const mant = h & 0x3ff;
+
+    if (exp === 0) return sign * mant * 5.960464477539063e-8; // 2^-24
+    if (exp === 0x1f) return mant ? NaN : sign * Infinity;
+    return sign * (1 + mant / 1024) * Math.pow(2, exp - 15);
+}
+
+/**
+ * Computes the axis-aligned bounds of a flat xyz array
+ * @param {Float32Array|Array<number>} points
+ * @returns {{min: number[], max: number[]}}
+ */
+export function computeBounds(points) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+
+    for (let i = 0; i < points.length; i += 3) {
+        for (let a = 0; a < 3; a++) {
+            const v = points[i + a];
+            if (v < min[a]) min[a] = v;
+            if (v > max[a]) max[a] = v;
+        }
+    }
+
+    if (points.length === 0) {
+        return { min: [0, 0, 0], max: [0, 0, 0] };
+    }
+    return { min, max };
+}
+
+/**
+ * Encodes a flat xyz point array into an .aox ArrayBuffer
+ * @param {Float32Array|Array<number>} points - Flat xyz positions
+ * @param {Object} [options]
+ * @param {number} [options.encoding=AoxEncoding.INT16] - Position encoding
+ * @param {Object} [options.meta={}] - JSON-serialisable metadata (ambito, source, ...)
+ * @param {Float32Array} [options.colors] - Optional linear RGB 0..1, count * 3
+ * @param {Float32Array} [options.sizes] - Optional size multipliers, count
+ * @param {Float32Array} [options.normals] - Optional unit normals, count * 3
+ * @param {Uint8Array} [options.groups] - Optional group index per point (0..255), count
+ * @returns {ArrayBuffer}
+ */
+export function encodeAoxBake(points, options = {}) {
+    const encoding = options.encoding ?? AoxEncoding.INT16;
+    const meta = options.meta || {};
+
+    if (points.length % 3 !== 0) {
+        throw new Error(`[AoxBakeFormat] Point array length ${points.length} is not a multiple of 3`);
+    }
+    if (encoding !== AoxEncoding.INT16 && encoding !== AoxEncoding.FLOAT16) {
+        throw new Error(`[AoxBakeFormat] Unknown encoding: ${encoding}`);
+    }
+
+    const count = points.length / 3;
+    const channels = CHANNEL_LAYOUT.filter(channel => options[channel.key]);
+    channels.forEach(({ key }) => {
+        const expected = key === 'sizes' || key === 'groups' ? count : count * 3;
+        if (options[key].length !== expected) {
+            throw new Error(`[AoxBakeFormat] Channel "${key}" has ${options[key].length} values, expected ${expected}`);
+        }
+    });
+    const flags = channels.reduce((acc, channel) => acc | channel.flag, 0);
+
+    const bounds = computeBounds(points);
+    const center = bounds.min.map((min, a) => (min + bounds.max[a]) * 0.5);
+
+    let scale = 1;
+    if (encoding === AoxEncoding.INT16) {
+        const halfExtent = Math.max(...bounds.max.map((max, a) => (max - bounds.min[a]) * 0.5));
+        scale = halfExtent > 0 ? halfExtent / INT16_MAX : 1;
+    }
+
+    const metaBytes = new TextEncoder().encode(JSON.stringify(meta));
+    const payloadOffset = AOX_HEADER_SIZE + align4(metaBytes.length);
+    let byteLength = payloadOffset + align4(count * 3 * 2);
+    const channelOffsets = channels.map(channel => {
+        const offset = byteLength;
+        byteLength += align4(count * channel.bytes);
+        return offset;
+    });
+    const buffer = new ArrayBuffer(byteLength);
+    const view = new DataView(buffer);
+
+    // --- HEADER ---
+    for (let i = 0; i < 4; i++) view.setUint8(i, AOX_MAGIC.charCodeAt(i));
+    view.setUint16(4, AOX_VERSION, true);
+    view.setUint8(6, encoding);
+    view.setUint8(7, flags);
+    view.setUint32(8, count, true);
+    for (let a = 0; a < 3; a++) {
+        view.setFloat32(12 + a * 4, bounds.min[a], true);
+        view.setFloat32(24 + a * 4, bounds.max[a], true);
+    }
+    view.setFloat32(36, scale, true);
+    view.setUint32(40, metaBytes.length, true);
+    view.setUint32(44, 0, true);
+    new Uint8Array(buffer, AOX_HEADER_SIZE, metaBytes.length).set(metaBytes);
+
+    // --- PAYLOAD ---
+    for (let i = 0; i < count * 3; i++) {
+        const offset = payloadOffset + i * 2;
+        const local = points[i] - center[i % 3];
+
+        if (encoding === AoxEncoding.INT16) {
+            const q = Math.round(local / scale);
+            view.setInt16(offset, Math.max(-INT16_MAX, Math.min(INT16_MAX, q)), true);
+        } else {
+            view.setUint16(offset, toHalf(local), true);
+        }
+    }
+
+    // --- OPTIONAL CHANNELS ---
+    channels.forEach(({ key }, c) => {
+        const source = options[key];
+        const offset = channelOffsets[c];
+
+        if (key === 'colors') {
+            const bytes = new Uint8Array(buffer, offset, count * 3);
+            for (let i = 0; i < bytes.length; i++) {
+                bytes[i] = Math.round(Math.max(0, Math.min(1, source[i])) * 255);
+            }
+        } else if (key === 'sizes') {
+            for (let i = 0; i < count; i++) view.setUint16(offset + i * 2, toHalf(source[i]), true);
+        } else if (key === 'groups') {
+            const bytes = new Uint8Array(buffer, offset, count);
+            for (let i = 0; i < count; i++) bytes[i] = Math.max(0, Math.min(255, source[i]));
+        } else {
+            const bytes = new Int8Array(buffer, offset, count * 3);
+            for (let i = 0; i < bytes.length; i++) {
+                bytes[i] = Math.round(Math.max(-1, Math.min(1, source[i])) * 127);
+            }
+        }
+    });
+
+    return buffer;
+}
+
+/**
+ * Decodes an .aox ArrayBuffer straight into a Float32Array of positions
+ * @param {ArrayBuffer} buffer
+ * @returns {{version: number, encoding: number, count: number, bounds: Object, scale: number, meta: Object,
+ *   positions: Float32Array, colors: Float32Array|null, sizes: Float32Array|null, normals: Float32Array|null,
+ *   groups: Uint8Array|null}}
+ */
+export function decodeAoxBake(buffer) {
+    if (buffer.byteLength < AOX_HEADER_SIZE) {
+        throw new Error('[AoxBakeFormat] Buffer too small for an .aox header');
+    }
+
+    const view = new DataView(buffer);
+    const magic = String.fromCharCode(...new Uint8Array(buffer, 0, 4));
+    if (magic !== AOX_MAGIC) {
+        throw new Error(`[AoxBakeFormat] Invalid magic "${magic}"`);
+    }
+
+    const version = view.getUint16(4, true);
+    if (version > AOX_VERSION) {
+        throw new Error(`[AoxBakeFormat] Unsupported version ${version} (max ${AOX_VERSION})`);
+    }
+
+    const encoding = view.getUint8(6);
+    const flags = view.getUint8(7);
+    const count = view.getUint32(8, true);
+    const min = [0, 1, 2].map(a => view.getFloat32(12 + a * 4, true));
+    const max = [0, 1, 2].map(a => view.getFloat32(24 + a * 4, true));
+    const scale = view.getFloat32(36, true);
+    const metaLength = view.getUint32(40, true);
+
+    const metaBytes = new Uint8Array(buffer, AOX_HEADER_SIZE, metaLength);
+    const meta = metaLength > 0 ? JSON.parse(new TextDecoder().decode(metaBytes)) : {};
+
+    const payloadOffset = AOX_HEADER_SIZE + align4(metaLength);
+    const channels = CHANNEL_LAYOUT.filter(channel => flags & channel.flag);
+    const expectedLength = channels.reduce(
+        (length, channel) => length + align4(count * channel.bytes),
+        payloadOffset + align4(count * 3 * 2)
+    );
+    if (buffer.byteLength < expectedLength) {
+        throw new Error(`[AoxBakeFormat] Truncated payload: expected ${count} points`);
+    }
+
+    const center = min.map((v, a) => (v + max[a]) * 0.5);
+    const positions = new Float32Array(count * 3);
+
+    if (encoding === AoxEncoding.INT16) {
+        const raw = new Int16Array(buffer, payloadOffset, count * 3);
+        for (let i = 0; i < raw.length; i++) {
+            positions[i] = center[i % 3] + raw[i] * scale;
+        }
+    } else if (encoding === AoxEncoding.FLOAT16) {
+        const raw = new Uint16Array(buffer, payloadOffset, count * 3);
+        for (let i = 0; i < raw.length; i++) {
+            positions[i] = center[i % 3] + fromHalf(raw[i]) * scale;
+        }
+    } else {
+        throw new Error(`[AoxBakeFormat] Unknown encoding: ${encoding}`);
+    }
+
+    const decoded = { colors: null, sizes: null, normals: null, groups: null };
+    let offset = payloadOffset + align4(count * 3 * 2);
+
+    channels.forEach(({ key, bytes }) => {
+        if (key === 'colors') {
+            const raw = new Uint8Array(buffer, offset, count * 3);
+            decoded.colors = Float32Array.from(raw, v => v / 255);
+        } else if (key === 'sizes') {
+            decoded.sizes = new Float32Array(count);
+            for (let i = 0; i < count; i++) decoded.sizes[i] = fromHalf(view.getUint16(offset + i * 2, true));
+        } else if (key === 'groups') {
+            decoded.groups = new Uint8Array(buffer, offset, count).slice();
+        } else {
+            const raw = new Int8Array(buffer, offset, count * 3);
+            decoded.normals = Float32Array.from(raw, v => v / 127);
+        }
+        offset += align4(count * bytes);
+    });
+
+    return { version, encoding, count, bounds: { min, max }, scale, meta, positions, ...decoded };
+}
+
+/**
+ * Normalises a legacy JSON bake ({ ambito, count, points, colors?, sizes?, normals?, groups? })
+ * to the decoded shape
+ * @param {Object} data - Parsed JSON bake
+ * @returns {Object} Same shape as decodeAoxBake()
+ */
+export function parseLegacyBake(data) {
+    const positions = new Float32Array(data.points);
+    const { ambito, count, points, colors, sizes, normals, groups, ...rest } = data;
+
+    return {
+        version: 0,
+        encoding: 0,
+        count: positions.length / 3,
+        bounds: computeBounds(positions),
+        scale: 1,
+        meta: { ambito, ...rest },
+        positions,
+        colors: colors ? new Float32Array(colors) : null,
+        sizes: sizes ? new Float32Array(sizes) : null,
+        normals: normals ? new Float32Array(normals) : null,
+        groups: groups ? new Uint8Array(groups) : null
+    };
+}
+
+/**
+ * Loads a bake by base path: tries `<base>.aox` first, then the legacy `<base>.json`.
+ * @param {string} basePath - Path without extension (e.g. './data/aox/brand')
+ * @returns {Promise<Object|null>} Decoded bake with `source` URL, or null if neither exists
+ */
+export async function loadAoxBake(basePath) {
+    try {
+        const response = await fetch(`${basePath}${AOX_EXTENSION}`);
+        if (response.ok) {
+            const bake = decodeAoxBake(await response.arrayBuffer());
+            return { ...bake, source: `${basePath}${AOX_EXTENSION}` };
+        }
+    } catch (e) {
+        console.warn(`[AoxBakeFormat] Binary bake unavailable for ${basePath}:`, e.message);
+    }
+
+    try {
+        const response = await fetch(`${basePath}.json`);
+        if (response.ok) {
+            const bake = parseLegacyBake(await response.json());
+            return { ...bake, source: `${basePath}.json` };
+        }
+    } catch (e) {
+        console.warn(`[AoxBakeFormat] Legacy bake unavailable for ${basePath}:`, e.message);
+    }
+
+    return null;
+}
@@ -0,0 +1,190 @@
+/**
+ * AoxBakeOrder Module
+ * Particle ordering for AOX bakes: decides which bake point particle i flies to.
+ * Three-free, shared by the scene (Fibonacci sphere) and the baker worker (ordering step).
+ *
+ * Orderings (recorded as `meta.ordering` in the bake):
+ *  - none:   raw sampler order (random, the morph reads as noise)
+ *  - sphere: point i is matched to the direction of Fibonacci sphere particle i,
+ *            latitude band by latitude band, so every particle travels a short path
+ *  - morton: Z-order curve over the bake bounds, neighbouring indices stay neighbours
+ */
+
+export const BAKE_ORDERINGS = ['none', 'sphere', 'morton'];
+export const DEFAULT_ORDERING = 'sphere';
+export const AOX_SPHERE_RADIUS = 3.5;      // Base sphere radius in initAoxCore
+
+const PHI = Math.PI * (3 - Math.sqrt(5));  // Golden angle
+
+/**
+ * Fibonacci sphere distribution used by initAoxCore as the base shape
+ * @param {number} count
+ * @param {number} radius
+ * @returns {Float32Array} Flat xyz positions
+ */
+export function fibonacciSphere(count, radius) {
+    const positions = new Float32Array(count * 3);
+
+    for (let i = 0; i < count; i++) {
+        const y = 1 - (i / (count - 1)) * 2;
+        const r = Math.sqrt(1 - y * y);
+        const theta = PHI * i;
+
+        positions[i * 3] = Math.cos(theta) * r * radius;
+        positions[i * 3 + 1] = y * radius;
+        positions[i * 3 + 2] = Math.sin(theta) * r * radius;
+    }
+
+    return positions;
+}
+
+// --- SPHERE MATCH ---
+// Fibonacci index i grows with latitude (y = 1 -> -1), so sorting bake points by the
+// latitude of their direction gives each band of indices the right slice of the shape;
+// inside a band both sets are sorted by longitude and paired up.
+function sphereOrder(points, count) {
+    const latitude = new Float32Array(count);
+    const longitude = new Float32Array(count);
+
+    for (let i = 0; i < count; i++) {
+        const x = points[i * 3];
+        const y = points[i * 3 + 1];
+        const z = points[i * 3 + 2];
+        const length = Math.hypot(x, y, z);
+        latitude[i] = length > 0 ? y / length : 0;
+        longitude[i] = Math.atan2(z, x);
+    }
+
+    const byLatitude = Array.from({ length: count }, (_, i) => i);
+    byLatitude.sort((a, b) => latitude[b] - latitude[a]);
+
+    const order = new Uint32Array(count);
+    const bandSize = Math.max(1, Math.round(Math.sqrt(count)));
+    const sphereLongitude = (i) => Math.atan2(Math.sin(PHI * i), Math.cos(PHI * i));
+
+    for (let start = 0; start < count; start += bandSize) {
+        const end = Math.min(count, start + bandSize);
+
+        const slots = [];
+        for (let i = start; i < end; i++) slots.push(i);
+        slots.sort((a, b) => sphereLongitude(a) - sphereLongitude(b));
+
+        const band = byLatitude.slice(start, end);
+        band.sort((a, b) => longitude[a] - longitude[b]);
+
+        for (let k = 0; k < band.length; k++) {
+            order[slots[k]] = band[k];
+        }
+    }
+
+    return order;
+}
+
+// --- MORTON ---
+// Spreads the low 10 bits of v so there are two zero bits between each
+function spreadBits(v) {
+    v = (v | (v << 16)) & 0x030000ff;
+    v = (v | (v << 8)) & 0x0300f00f;
+    v = (v | (v << 4)) & 0x030c30c3;
+    v = (v | (v << 2)) & 0x09249249;
+    return v;
+}
+
+function mortonOrder(points, count) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < count * 3; i += 3) {
+        for (let axis = 0; axis < 3; axis++) {
+            min[axis] = Math.min(min[axis], points[i + axis]);
+            max[axis] = Math.max(max[axis], points[i + axis]);
+        }
+    }
+
+    const codes = new Uint32Array(count);
+    for (let i = 0; i < count; i++) {
+        let code = 0;
+        for (let axis = 0; axis < 3; axis++) {
+            const extent = max[axis] - min[axis] || 1;
+            const q = Math.min(1023, Math.floor(((points[i * 3 + axis] - min[axis]) / extent) * 1024));
+            code |= spreadBits(q) << axis;
+        }
+        codes[i] = code >>> 0;
+    }
+
+    const order = Array.from({ length: count }, (_, i) => i);
+    order.sort((a, b) => codes[a] - codes[b]);
+    return Uint32Array.from(order);
+}
+
+/**
+ * Computes the particle order for a bake
+ * @param {Float32Array} points - Flat xyz positions (centered on the origin, like the sphere)
+ * @param {string} method - One of BAKE_ORDERINGS
+ * @returns {Uint32Array} order[i] = index of the source point particle i receives
+ */
+export function computeOrdering(points, method) {
+    const count = points.length / 3;
+
+    switch (method) {
+        case 'none': return Uint32Array.from({ length: count }, (_, i) => i);
+        case 'sphere': return sphereOrder(points, count);
+        case 'morton': return mortonOrder(points, count);
+        default: throw new Error(`[AoxBakeOrder] Unknown ordering "${method}"`);
+    }
+}
+
+/**
+ * Reorders a per-point array
+ * @param {Float32Array|Uint8Array} array
+ * @param {Uint32Array} order - Output of computeOrdering
+ * @param {number} itemSize - Components per point (3 for xyz/rgb, 1 for sizes / groups)
+ * @returns {Float32Array|Uint8Array} Same type as `array`
+ */
+export function applyOrdering(array, order, itemSize) {
+    const result = new array.constructor(array.length);
+    for (let i = 0; i < order.length; i++) {
+        const from = order[i] * itemSize;
+        for (let k = 0; k < itemSize; k++) {
+            result[i * itemSize + k] = array[from + k];
+        }
+    }
+    return result;
+}
+
+/**
+ * Average distance particle i travels from the base sphere to its target
+ * @param {Float32Array} points
+ * @param {number} radius - Base sphere radius
+ * @returns {number}
+ */
+export function meanPathLength(points, radius) {
+    const count = points.length / 3;
+    const sphere = fibonacciSphere(count, radius);
+    let total = 0;
+
+    for (let i = 0; i < count * 3; i += 3) {
+        total += Math.hypot(points[i] - sphere[i], points[i + 1] - sphere[i + 1], points[i + 2] - sphere[i + 2]);
+    }
+
+    return count > 0 ? total / count : 0;
+}
+
+/**
+ * Reorders every channel of a sampled bake
+ * @param {{points: Float32Array, colors: Float32Array|null, sizes: Float32Array|null, normals: Float32Array|null,
+ *   groups?: Uint8Array|null}} bake
+ * @param {string} method - One of BAKE_ORDERINGS
+ * @returns {Object} Same shape as `bake`, plus `ordering`
+ */
+export function orderBake(bake, method) {
+    const order = computeOrdering(bake.points, method);
+
+    return {
+        points: applyOrdering(bake.points, order, 3),
+        colors: bake.colors ? applyOrdering(bake.colors, order, 3) : null,
+        sizes: bake.sizes ? applyOrdering(bake.sizes, order, 1) : null,
+        normals: bake.normals ? applyOrdering(bake.normals, order, 3) : null,
+        groups: bake.groups ? applyOrdering(bake.groups, order, 1) : null,
+        ordering: method
+    };
+}
@@ -0,0 +1,297 @@
+/**
+ * AoxBakePipeline Module
+ * The full bake, from world-space bake meshes to ordered channels: merge, normalize, sample, order.
+ * Shared by the baker worker and the Node bake command, so both run the exact same steps
+ * in the same order and a given seed reproduces the same bake.
+ *
+ * Composite bakes (runCompositeBake) combine several models, each with its own transform and
+ * share of the point budget, into one bake with a GROUP channel (model index per point).
+ */
+
+import { mergeBakeMeshes, normalizeBakeGeometry, normalizeBakeGeometries, sampleBake } from './AoxBakeSampler.js';
+import { orderBake, meanPathLength, AOX_SPHERE_RADIUS, DEFAULT_ORDERING } from './AoxBakeOrder.js';
+import { createRandom } from './AoxRandom.js';
+import { normalizeWeighting, computeFaceWeights } from './AoxBakeWeights.js';
+
+// Defaults of the baker UI, also used by the Node command
+export const DEFAULT_BAKE_OPTIONS = {
+    count: 50000,
+    targetRadius: 4,
+    color: true,
+    normal: true,
+    sizeMode: 'off',
+    ordering: DEFAULT_ORDERING,
+    weighting: null         // See AoxBakeWeights, null = area only
+};
+
+export const MAX_BAKE_GROUPS = 256;     // GROUP channel is uint8
+
+// Placement of a model in a composite bake, in bake units (each model is first fitted to targetRadius)
+export const IDENTITY_TRANSFORM = {
+    position: [0, 0, 0],
+    rotation: [0, 0, 0],    // Degrees, Euler XYZ (as THREE.Euler)
+    scale: 1
+};
+
+/**
+ * Merges and normalizes the bake meshes
+ * @param {Array<Object>} meshes - Bake meshes (see AoxBakeSampler)
+ * @param {number} targetRadius
+ * @param {Function} [onStage] - (label) => void
+ * @returns {Object} Merged geometry (see mergeBakeMeshes)
+ */
+export function prepareBakeGeometry(meshes, targetRadius, onStage = () => {}) {
+    onStage('Merging geometries...');
+    const geometry = mergeBakeMeshes(meshes);
+
+    onStage('Normalizing geometry...');
+    normalizeBakeGeometry(geometry, targetRadius);
+
+    return geometry;
+}
+
+// Drops excluded meshes (weight 0) before merging, so they don't count in the normalization either
+function prepareWeightedGeometry(meshes, weighting, targetRadius, onStage) {
+    const meshWeights = weighting.meshWeights ? meshes.map((_, i) => weighting.meshWeights[i] ?? 1) : null;
+    const included = meshes.filter((_, i) => !meshWeights || meshWeights[i] > 0);
+    if (included.length === 0) {
+        throw new Error('[AoxBakePipeline] Every mesh is excluded');
+    }
+
+    const geometry = prepareBakeGeometry(included, targetRadius, onStage);
+
+    if (weighting.source !== 'none' || meshWeights) {
+        onStage(`Weighting density (${weighting.source})...`);
+        geometry.faceWeights = computeFaceWeights(geometry, included, {
+            ...weighting,
+            meshWeights: meshWeights ? meshWeights.filter(w => w > 0) : null
+        });
+    }
+
+    return geometry;
+}
+
+/**
+ * Runs a complete bake
+ * @param {Array<Object>} meshes - Bake meshes (see AoxBakeSampler)
+ * @param {Object} options - DEFAULT_BAKE_OPTIONS fields, plus:
+ * @param {number|null} [options.seed] - Unsigned 32-bit seed, Math.random when null
+ * @param {Object|null} [options.weighting] - Density weighting (meshWeights indexed like `meshes`)
+ * @param {Function} [options.onStage] - (label) => void
+ * @param {Function} [options.onProgress] - (done, total) => void
+ * @returns {{points, colors, sizes, normals, ordering: string, seed: number|null, pathBefore: number, pathAfter: number}}
+ */
+export function runBake(meshes, options) {
+    const settings = { ...DEFAULT_BAKE_OPTIONS, ...options };
+    const { seed = null, onStage = () => {}, onProgress } = settings;
+
+    const weighting = normalizeWeighting(settings.weighting);
+    const geometry = prepareWeightedGeometry(meshes, weighting, settings.targetRadius, onStage);
+
+    onStage('Building sampler...');
+    const sampled = sampleBake(geometry, {
+        count: settings.count,
+        color: settings.color,
+        normal: settings.normal,
+        sizeMode: settings.sizeMode,
+        random: seed === null ? Math.random : createRandom(seed),
+        onProgress
+    });
+
+    onStage(`Ordering particles (${settings.ordering})...`);
+    const pathBefore = meanPathLength(sampled.points, AOX_SPHERE_RADIUS);
+    const result = orderBake(sampled, settings.ordering);
+    const pathAfter = meanPathLength(result.points, AOX_SPHERE_RADIUS);
+
+    return { ...result, seed, pathBefore, pathAfter };
+}
+
+// --- COMPOSITE BAKES ---
+
+/**
+ * Fills in the transform defaults and rejects invalid ones
+ * @param {Object|null|undefined} transform - Partial IDENTITY_TRANSFORM
+ * @returns {Object}
+ */
+export function normalizeTransform(transform) {
+    const result = { ...IDENTITY_TRANSFORM, ...transform };
+    const isVector = (v) => Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+
+    if (!isVector(result.position)) throw new Error('[AoxBakePipeline] Transform position must be [x, y, z]');
+    if (!isVector(result.rotation)) throw new Error('[AoxBakePipeline] Transform rotation must be [x, y, z] degrees');
+    if (!(result.scale > 0) || !Number.isFinite(result.scale)) {
+        throw new Error(`[AoxBakePipeline] Transform scale must be > 0, got "${result.scale}"`);
+    }
+
+    return result;
+}
+
+/**
+ * Splits the point budget by share (largest remainder: the counts always add up to `count`)
+ * @param {number} count
+ * @param {Array<number>} shares - Relative weights, > 0
+ * @returns {Array<number>}
+ */
+export function splitBudget(count, shares) {
+    if (shares.length === 0 || shares.some(share => !(share > 0) || !Number.isFinite(share))) {
+        throw new Error('[AoxBakePipeline] Model shares must be numbers > 0');
+    }
+
+    const total = shares.reduce((sum, share) => sum + share, 0);
+    const exact = shares.map(share => (count * share) / total);
+    const budgets = exact.map(Math.floor);
+
+    let left = count - budgets.reduce((sum, n) => sum + n, 0);
+    const byRemainder = exact.map((value, i) => [value - budgets[i], i]).sort((a, b) => b[0] - a[0] || a[1] - b[1]);
+    for (let k = 0; left > 0; k++, left--) budgets[byRemainder[k][1]]++;
+
+    return budgets;
+}
+
+// Euler XYZ (degrees) to a row-major 3x3 matrix, same convention as THREE.Matrix4.makeRotationFromEuler
+function rotationMatrix([x, y, z]) {
+    const toRad = Math.PI / 180;
+    const a = Math.cos(x * toRad), b = Math.sin(x * toRad);
+    const c = Math.cos(y * toRad), d = Math.sin(y * toRad);
+    const e = Math.cos(z * toRad), f = Math.sin(z * toRad);
+    const ae = a * e, af = a * f, be = b * e, bf = b * f;
+
+    return [
+        c * e, -c * f, d,
+        af + be * d, ae - bf * d, -b * c,
+        bf - ae * d, be + af * d, a * c
+    ];
+}
+
+// In place: positions = scale * R * p + position, normals = R * n (uniform scale keeps them unit length)
+function applyTransform(geometry, { position, rotation, scale }) {
+    const m = rotationMatrix(rotation);
+    const { positions, normals } = geometry;
+
+    for (let i = 0; i < positions.length; i += 3) {
+        const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+        positions[i] = scale * (m[0] * x + m[1] * y + m[2] * z) + position[0];
+        positions[i + 1] = scale * (m[3] * x + m[4] * y + m[5] * z) + position[1];
+        positions[i + 2] = scale * (m[6] * x + m[7] * y + m[8] * z) + position[2];
+
+        const nx = normals[i], ny = normals[i + 1], nz = normals[i + 2];
+        normals[i] = m[0] * nx + m[1] * ny + m[2] * nz;
+        normals[i + 1] = m[3] * nx + m[4] * ny + m[5] * nz;
+        normals[i + 2] = m[6] * nx + m[7] * ny + m[8] * nz;
+    }
+}
+
+// Each model fitted to targetRadius on its own, placed, then the whole composition fitted again
+function placeModels(models, targetRadius, prepare, onStage) {
+    if (models.length === 0) throw new Error('[AoxBakePipeline] No models to bake');
+    if (models.length > MAX_BAKE_GROUPS) {
+        throw new Error(`[AoxBakePipeline] At most ${MAX_BAKE_GROUPS} models per bake, got ${models.length}`);
+    }
+
+    const geometries = models.map((model, m) => {
+        const name = model.name || `model ${m}`;
+        const transform = normalizeTransform(model.transform);
+        const geometry = prepare(model, (label) => onStage(`[${name}] ${label}`));
+        applyTransform(geometry, transform);
+        return geometry;
+    });
+
+    onStage('Fitting composition...');
+    normalizeBakeGeometries(geometries, targetRadius);
+    return geometries;
+}
+
+/**
+ * Merged, placed and normalized geometry of a composition (wireframe preview of the baker)
+ * @param {Array<Object>} models - See runCompositeBake
+ * @param {number} targetRadius
+ * @param {Function} [onStage] - (label) => void
+ * @returns {{positions: Float32Array, index: Uint32Array, vertexCount: number, faceCount: number}}
+ */
+export function prepareCompositeGeometry(models, targetRadius, onStage = () => {}) {
+    const geometries = placeModels(models, targetRadius, (model, stage) => prepareBakeGeometry(model.meshes, targetRadius, stage), onStage);
+
+    const vertexCount = geometries.reduce((sum, g) => sum + g.vertexCount, 0);
+    const faceCount = geometries.reduce((sum, g) => sum + g.faceCount, 0);
+    const positions = new Float32Array(vertexCount * 3);
+    const index = new Uint32Array(faceCount * 3);
+
+    let vertexOffset = 0;
+    let indexOffset = 0;
+    geometries.forEach(geometry => {
+        positions.set(geometry.positions, vertexOffset * 3);
+        for (let i = 0; i < geometry.index.length; i++) index[indexOffset + i] = geometry.index[i] + vertexOffset;
+        vertexOffset += geometry.vertexCount;
+        indexOffset += geometry.index.length;
+    });
+
+    return { positions, index, vertexCount, faceCount };
+}
+
+/**
+ * Runs a composite bake: one bake over several models, with a GROUP channel (model index per point)
+ * that the site shader reads for staggered arrival (manifest `stagger`)
+ * @param {Array<Object>} models - { name?, meshes, transform?, share?, meshWeights? }
+ *   transform: partial IDENTITY_TRANSFORM, in bake units (the model is first fitted to targetRadius)
+ *   share: relative part of the point budget (default 1)
+ *   meshWeights: per-mesh multipliers of this model (0 excludes), overrides options.weighting.meshWeights
+ * @param {Object} options - Same as runBake; weighting source / strength apply to every model
+ * @returns {{points, colors, sizes, normals, groups: Uint8Array, budgets: Array<number>, ordering: string,
+ *   seed: number|null, pathBefore: number, pathAfter: number}}
+ */
+export function runCompositeBake(models, options) {
+    const settings = { ...DEFAULT_BAKE_OPTIONS, ...options };
+    const { seed = null, onStage = () => {}, onProgress } = settings;
+    const budgets = splitBudget(settings.count, models.map(model => model.share ?? 1));
+
+    const geometries = placeModels(models, settings.targetRadius, (model, stage) => {
+        const weighting = normalizeWeighting({ ...settings.weighting, meshWeights: model.meshWeights ?? null });
+        return prepareWeightedGeometry(model.meshes, weighting, settings.targetRadius, stage);
+    }, onStage);
+
+    // One random stream across the models: the seed still reproduces the whole composition
+    const random = seed === null ? Math.random : createRandom(seed);
+    const parts = [];
+    let offset = 0;
+
+    geometries.forEach((geometry, m) => {
+        if (budgets[m] === 0) return;
+
+        onStage(`[${models[m].name || `model ${m}`}] Sampling ${budgets[m].toLocaleString()} points...`);
+        const part = sampleBake(geometry, {
+            count: budgets[m],
+            color: settings.color,
+            normal: settings.normal,
+            sizeMode: settings.sizeMode,
+            random,
+            onProgress: onProgress && ((done) => onProgress(offset + done, settings.count))
+        });
+        parts.push({ part, group: m, start: offset });
+        offset += budgets[m];
+    });
+
+    const concat = (key, itemSize, ArrayType = Float32Array) => {
+        if (!parts[0].part[key]) return null;
+        const out = new ArrayType(settings.count * itemSize);
+        parts.forEach(({ part, start }) => out.set(part[key], start * itemSize));
+        return out;
+    };
+
+    const groups = new Uint8Array(settings.count);
+    parts.forEach(({ group, start }) => groups.fill(group, start, start + budgets[group]));
+
+    const sampled = {
+        points: concat('points', 3),
+        colors: concat('colors', 3),
+        sizes: concat('sizes', 1),
+        normals: concat('normals', 3),
+        groups
+    };
+
+    onStage(`Ordering particles (${settings.ordering})...`);
+    const pathBefore = meanPathLength(sampled.points, AOX_SPHERE_RADIUS);
+    const result = orderBake(sampled, settings.ordering);
+    const pathAfter = meanPathLength(result.points, AOX_SPHERE_RADIUS);
+
+    return { ...result, budgets, seed, pathBefore, pathAfter };
+}
@@ -0,0 +1,357 @@
+/**
+ * AoxBakeSampler Module
+ * Geometry merge, normalization and area-weighted surface sampling for AOX bakes.
+ * Free of Three.js (and of the DOM) so it runs inside the baker's Web Worker;
+ * the sampling math mirrors three/addons MeshSurfaceSampler.
+ *
+ * Bake mesh shape (world space, one entry per source mesh):
+ * { positions, normals, colors, uvs?, index?, texture?, attributes? }
+ *  - positions / normals / colors: Float32Array, 3 per vertex (colors linear RGB)
+ *  - uvs: Float32Array, 2 per vertex (optional)
+ *  - index: Uint32Array (optional, non-indexed meshes are read as triangle soup)
+ *  - texture: { width, height, data: RGBA bytes, flipY, srgb } (optional)
+ *  - attributes: { name: Float32Array } custom vertex attributes, read by AoxBakeWeights (optional)
+ */
+
+export const BAKE_SIZE_MODES = ['off', 'luminance', 'jitter'];
+
+// --- COLOR HELPERS ---
+function srgbToLinear(c) {
+    return c < 0.04045 ? c * 0.0773993808 : Math.pow(c * 0.9478672986 + 0.0521327014, 2.4);
+}
+
+/**
+ * Merges bake meshes into a single indexed geometry
+ * @param {Array<Object>} meshes - Bake meshes (see module header)
+ * @returns {{positions: Float32Array, normals: Float32Array, colors: Float32Array, uvs: Float32Array,
+ *   index: Uint32Array, faceEnds: Uint32Array, textures: Array<Object|null>, vertexCount: number, faceCount: number}}
+ */
+export function mergeBakeMeshes(meshes) {
+    if (!Array.isArray(meshes) || meshes.length === 0) {
+        throw new Error('[AoxBakeSampler] No meshes to merge');
+    }
+
+    let vertexCount = 0;
+    let indexCount = 0;
+    meshes.forEach((mesh, i) => {
+        const count = mesh.positions.length / 3;
+        if (!Number.isInteger(count) || mesh.normals.length !== count * 3 || mesh.colors.length !== count * 3) {
+            throw new Error(`[AoxBakeSampler] Mesh ${i}: attribute lengths do not match`);
+        }
+        vertexCount += count;
+        indexCount += mesh.index ? mesh.index.length : count;
+    });
+
+    const positions = new Float32Array(vertexCount * 3);
+    const normals = new Float32Array(vertexCount * 3);
+    const colors = new Float32Array(vertexCount * 3);
+    const uvs = new Float32Array(vertexCount * 2);
+    const index = new Uint32Array(indexCount);
+    const faceEnds = new Uint32Array(meshes.length);
+
+    let vertexOffset = 0;
+    let indexOffset = 0;
+
+    meshes.forEach((mesh, i) => {
+        const count = mesh.positions.length / 3;
+
+        positions.set(mesh.positions, vertexOffset * 3);
+        normals.set(mesh.normals, vertexOffset * 3);
+        colors.set(mesh.colors, vertexOffset * 3);
+        if (mesh.uvs) uvs.set(mesh.uvs, vertexOffset * 2);
+
+        if (mesh.index) {
+            for (let j = 0; j < mesh.index.length; j++) {
+                index[indexOffset + j] = mesh.index[j] + vertexOffset;
+            }
+            indexOffset += mesh.index.length;
+        } else {
+            for (let j = 0; j < count; j++) {
+                index[indexOffset + j] = vertexOffset + j;
+            }
+            indexOffset += count;
+        }
+
+        vertexOffset += count;
+        faceEnds[i] = Math.floor(indexOffset / 3);
+    });
+
+    return {
+        positions,
+        normals,
+        colors,
+        uvs,
+        index,
+        faceEnds,
+        textures: meshes.map(mesh => mesh.texture || null),
+        vertexCount,
+        faceCount: Math.floor(indexCount / 3)
+    };
+}
+
+/**
+ * Centers the geometry on its bounding box and scales it so the largest side spans 2 * targetRadius.
+ * Works in place on `geometry.positions`.
+ * @param {Object} geometry - Output of mergeBakeMeshes
+ * @param {number} targetRadius
+ * @returns {{center: number[], scale: number}}
+ */
+export function normalizeBakeGeometry(geometry, targetRadius) {
+    return normalizeBakeGeometries([geometry], targetRadius);
+}
+
+/**
+ * Same as normalizeBakeGeometry over the combined bounds of several geometries
+ * (composite bakes: the models keep their relative placement)
+ * @param {Array<Object>} geometries - Outputs of mergeBakeMeshes
+ * @param {number} targetRadius
+ * @returns {{center: number[], scale: number}}
+ */
+export function normalizeBakeGeometries(geometries, targetRadius) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+
+    for (const { positions } of geometries) {
+        for (let i = 0; i < positions.length; i += 3) {
+            for (let axis = 0; axis < 3; axis++) {
+                const v = positions[i + axis];
+                if (v < min[axis]) min[axis] = v;
+                if (v > max[axis]) max[axis] = v;
+            }
+        }
+    }
+
+    const center = [0, 1, 2].map(axis => (min[axis] + max[axis]) / 2);
+    const maxDim = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+    const scale = maxDim > 0 ? (targetRadius * 2) / maxDim : 1;
+
+    for (const { positions } of geometries) {
+        for (let i = 0; i < positions.length; i += 3) {
+            positions[i] = (positions[i] - center[0]) * scale;
+            positions[i + 1] = (positions[i + 1] - center[1]) * scale;
+            positions[i + 2] = (positions[i + 2] - center[2]) * scale;
+        }
+    }
+
+    return { center, scale };
+}
+
+/**
+ * Area-weighted random sampler over a merged bake geometry.
+ * Same distribution and random call order as MeshSurfaceSampler (one draw per face pick, two per point).
+ * `geometry.faceWeights` (see AoxBakeWeights), when set, multiplies each face's area.
+ */
+export class AoxSurfaceSampler {
+    /**
+     * @param {Object} geometry - Output of mergeBakeMeshes
+     * @param {Function} [random=Math.random] - Returns floats in [0, 1)
+     */
+    constructor(geometry, random = Math.random) {
+        this.geometry = geometry;
+        this.random = random;
+        this.distribution = null;
+    }
+
+    build() {
+        const { positions, index, faceCount, faceWeights } = this.geometry;
+        const distribution = new Float32Array(faceCount);
+        let cumulativeTotal = 0;
+
+        for (let f = 0; f < faceCount; f++) {
+            const a = index[f * 3] * 3;
+            const b = index[f * 3 + 1] * 3;
+            const c = index[f * 3 + 2] * 3;
+
+            // Triangle area = |AB x AC| / 2
+            const abx = positions[b] - positions[a];
+            const aby = positions[b + 1] - positions[a + 1];
+            const abz = positions[b + 2] - positions[a + 2];
+            const acx = positions[c] - positions[a];
+            const acy = positions[c + 1] - positions[a + 1];
+            const acz = positions[c + 2] - positions[a + 2];
+            const cx = aby * acz - abz * acy;
+            const cy = abz * acx - abx * acz;
+            const cz = abx * acy - aby * acx;
+
+            const area = Math.sqrt(cx * cx + cy * cy + cz * cz) * 0.5;
+            cumulativeTotal += faceWeights ? area * faceWeights[f] : area;
+            distribution[f] = cumulativeTotal;
+        }
+
+        if (!(cumulativeTotal > 0)) {
+            throw new Error(faceWeights
+                ? '[AoxBakeSampler] Every face has zero weight'
+                : '[AoxBakeSampler] Geometry has no surface area');
+        }
+
+        this.distribution = distribution;
+        return this;
+    }
+
+    sampleFaceIndex() {
+        const dist = this.distribution;
+        const x = this.random() * dist[dist.length - 1];
+
+        let start = 0;
+        let end = dist.length - 1;
+
+        while (start <= end) {
+            const mid = Math.ceil((start + end) / 2);
+            if (mid === 0 || (dist[mid - 1] <= x && dist[mid] > x)) {
+                return mid;
+            } else if (x < dist[mid]) {
+                end = mid - 1;
+            } else {
+                start = mid + 1;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Samples one point on a face, writing into `out` arrays
+     * @param {number} faceIndex
+     * @param {{position: number[], normal: number[], color: number[], uv: number[]}} out
+     */
+    sampleFace(faceIndex, out) {
+        let u = this.random();
+        let v = this.random();
+        if (u + v > 1) {
+            u = 1 - u;
+            v = 1 - v;
+        }
+        const w = 1 - (u + v);
+
+        const { positions, normals, colors, uvs, index } = this.geometry;
+        const i0 = index[faceIndex * 3];
+        const i1 = index[faceIndex * 3 + 1];
+        const i2 = index[faceIndex * 3 + 2];
+
+        for (let k = 0; k < 3; k++) {
+            out.position[k] = positions[i0 * 3 + k] * u + positions[i1 * 3 + k] * v + positions[i2 * 3 + k] * w;
+            out.normal[k] = normals[i0 * 3 + k] * u + normals[i1 * 3 + k] * v + normals[i2 * 3 + k] * w;
+            out.color[k] = colors[i0 * 3 + k] * u + colors[i1 * 3 + k] * v + colors[i2 * 3 + k] * w;
+        }
+        for (let k = 0; k < 2; k++) {
+            out.uv[k] = uvs[i0 * 2 + k] * u + uvs[i1 * 2 + k] * v + uvs[i2 * 2 + k] * w;
+        }
+
+        const n = out.normal;
+        const length = Math.hypot(n[0], n[1], n[2]) || 1;
+        n[0] /= length;
+        n[1] /= length;
+        n[2] /= length;
+    }
+
+    /**
+     * Index of the source mesh owning a face (binary search over faceEnds)
+     * @param {number} faceIndex
+     * @returns {number}
+     */
+    meshIndexOf(faceIndex) {
+        const ends = this.geometry.faceEnds;
+        let lo = 0;
+        let hi = ends.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (faceIndex < ends[mid]) hi = mid;
+            else lo = mid + 1;
+        }
+        return lo;
+    }
+}
+
+// Multiplies `color` by the nearest texel at `uv` (repeat wrapping)
+function applyTexel(color, uv, texture) {
+    const u = uv[0] - Math.floor(uv[0]);
+    const v = uv[1] - Math.floor(uv[1]);
+    const x = Math.min(texture.width - 1, Math.floor(u * texture.width));
+    const y = Math.min(texture.height - 1, Math.floor((texture.flipY ? 1 - v : v) * texture.height));
+    const idx = (y * texture.width + x) * 4;
+
+    for (let k = 0; k < 3; k++) {
+        const c = texture.data[idx + k] / 255;
+        color[k] *= texture.srgb ? srgbToLinear(c) : c;
+    }
+}
+
+/**
+ * Samples a bake from a merged, normalized geometry
+ * @param {Object} geometry - Output of mergeBakeMeshes (already normalized)
+ * @param {Object} options
+ * @param {number} options.count - Number of points
+ * @param {boolean} [options.color=false] - Fill the COLOR channel (vertex × texture colors)
+ * @param {boolean} [options.normal=false] - Fill the NORMAL channel
+ * @param {string} [options.sizeMode='off'] - One of BAKE_SIZE_MODES
+ * @param {Function} [options.random=Math.random]
+ * @param {Function} [options.onProgress] - Called with (done, total) every `progressInterval` points
+ * @param {number} [options.progressInterval=10000]
+ * @returns {{points: Float32Array, colors: Float32Array|null, sizes: Float32Array|null, normals: Float32Array|null}}
+ */
+export function sampleBake(geometry, options) {
+    const {
+        count,
+        color: wantColor = false,
+        normal: wantNormal = false,
+        sizeMode = 'off',
+        random = Math.random,
+        onProgress = null,
+        progressInterval = 10000
+    } = options;
+
+    if (!Number.isInteger(count) || count <= 0) {
+        throw new Error(`[AoxBakeSampler] Invalid sample count "${count}"`);
+    }
+    if (!BAKE_SIZE_MODES.includes(sizeMode)) {
+        throw new Error(`[AoxBakeSampler] Unknown size mode "${sizeMode}"`);
+    }
+
+    const sampler = new AoxSurfaceSampler(geometry, random).build();
+    const needsColor = wantColor || sizeMode === 'luminance';
+
+    const points = new Float32Array(count * 3);
+    const colors = needsColor ? new Float32Array(count * 3) : null;
+    const normals = wantNormal ? new Float32Array(count * 3) : null;
+    const sizes = sizeMode !== 'off' ? new Float32Array(count) : null;
+
+    const out = { position: [0, 0, 0], normal: [0, 0, 0], color: [0, 0, 0], uv: [0, 0] };
+
+    for (let i = 0; i < count; i++) {
+        const faceIndex = sampler.sampleFaceIndex();
+        sampler.sampleFace(faceIndex, out);
+
+        points[i * 3] = out.position[0];
+        points[i * 3 + 1] = out.position[1];
+        points[i * 3 + 2] = out.position[2];
+
+        if (colors) {
+            const texture = geometry.textures[sampler.meshIndexOf(faceIndex)];
+            if (texture) applyTexel(out.color, out.uv, texture);
+            colors[i * 3] = out.color[0];
+            colors[i * 3 + 1] = out.color[1];
+            colors[i * 3 + 2] = out.color[2];
+        }
+
+        if (normals) {
+            normals[i * 3] = out.normal[0];
+            normals[i * 3 + 1] = out.normal[1];
+            normals[i * 3 + 2] = out.normal[2];
+        }
+
+        if (sizes) {
+            // Luminance: brighter matter reads as bigger sparks (0.6 - 1.6)
+            sizes[i] = sizeMode === 'luminance'
+                ? 0.6 + (0.2126 * out.color[0] + 0.7152 * out.color[1] + 0.0722 * out.color[2])
+                : 0.7 + random() * 0.6;
+        }
+
+        if (onProgress && i % progressInterval === 0) {
+            onProgress(i, count);
+        }
+    }
+
+    if (onProgress) onProgress(count, count);
+
+    return { points, colors: wantColor ? colors : null, sizes, normals };
+}
@@ -0,0 +1,138 @@
+/**
+ * AoxBakeStats Module
+ * Shape statistics for comparing AOX bakes (the baker's compare panel) and a check against
+ * the normalization convention of the bakes in data/aox/: bounding box centered on the origin,
+ * largest side spanning 2 * targetRadius (see normalizeBakeGeometry).
+ * Three-free.
+ */
+
+import { computeBounds } from './AoxBakeFormat.js';
+
+const NN_SAMPLE_SIZE = 4000;    // Points probed for the nearest-neighbour average
+
+// --- NEAREST NEIGHBOUR (uniform grid) ---
+function buildGrid(points, count, bounds, cellSize) {
+    const dims = [0, 1, 2].map(axis => Math.max(1, Math.ceil((bounds.max[axis] - bounds.min[axis]) / cellSize) + 1));
+    const cellOf = (i, axis) => Math.floor((points[i * 3 + axis] - bounds.min[axis]) / cellSize);
+
+    const cells = new Map();
+    for (let i = 0; i < count; i++) {
+        const key = (cellOf(i, 0) * dims[1] + cellOf(i, 1)) * dims[2] + cellOf(i, 2);
+        let cell = cells.get(key);
+        if (!cell) {
+            cell = [];
+            cells.set(key, cell);
+        }
+        cell.push(i);
+    }
+
+    return { cells, dims, cellOf };
+}
+
+// Grows the searched shell of cells until no unvisited cell can hold a closer point
+function nearestDistance(points, i, grid, cellSize) {
+    const { cells, dims, cellOf } = grid;
+    const c = [cellOf(i, 0), cellOf(i, 1), cellOf(i, 2)];
+    const x = points[i * 3], y = points[i * 3 + 1], z = points[i * 3 + 2];
+    const maxRing = Math.max(dims[0], dims[1], dims[2]);
+    let best = Infinity;
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+        if (best <= (ring - 1) * cellSize) break;
+
+        for (let dx = -ring; dx <= ring; dx++) {
+            for (let dy = -ring; dy <= ring; dy++) {
+                for (let dz = -ring; dz <= ring; dz++) {
+                    // Shell only: inner cells were searched by the previous rings
+                    if (Math.max(Math.abs(dx), Math.abs(dy), Math.abs(dz)) !== ring) continue;
+
+                    const cx = c[0] + dx, cy = c[1] + dy, cz = c[2] + dz;
+                    if (cx < 0 || cy < 0 || cz < 0 || cx >= dims[0] || cy >= dims[1] || cz >= dims[2]) continue;
+
+                    const cell = cells.get((cx * dims[1] + cy) * dims[2] + cz);
+                    if (!cell) continue;
+
+                    for (const j of cell) {
+                        if (j === i) continue;
+                        const d = Math.hypot(points[j * 3] - x, points[j * 3 + 1] - y, points[j * 3 + 2] - z);
+                        if (d < best) best = d;
+                    }
+                }
+            }
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Shape statistics of a bake
+ * @param {Float32Array} points - Flat xyz positions
+ * @returns {{count: number, bounds: {min: number[], max: number[]}, size: number[], center: number[],
+ *   centroid: number[], halfExtent: number, meanNearestNeighbor: number}}
+ *   center = bounding box center, halfExtent = half the largest side,
+ *   meanNearestNeighbor estimated over up to NN_SAMPLE_SIZE evenly spaced points
+ */
+export function computeBakeStats(points) {
+    const count = points.length / 3;
+    const bounds = computeBounds(points);
+    const size = [0, 1, 2].map(axis => bounds.max[axis] - bounds.min[axis]);
+    const center = [0, 1, 2].map(axis => (bounds.min[axis] + bounds.max[axis]) / 2);
+
+    const centroid = [0, 0, 0];
+    for (let i = 0; i < count; i++) {
+        centroid[0] += points[i * 3];
+        centroid[1] += points[i * 3 + 1];
+        centroid[2] += points[i * 3 + 2];
+    }
+    if (count > 0) centroid.forEach((_, axis) => { centroid[axis] /= count; });
+
+    let meanNearestNeighbor = 0;
+    if (count > 1) {
+        // ~1 point per cell on average for a surface-like cloud
+        const cellSize = Math.max(...size) / Math.max(1, Math.round(Math.sqrt(count))) || 1;
+        const grid = buildGrid(points, count, bounds, cellSize);
+        const samples = Math.min(count, NN_SAMPLE_SIZE);
+
+        let total = 0;
+        for (let k = 0; k < samples; k++) {
+            total += nearestDistance(points, Math.floor((k * count) / samples), grid, cellSize);
+        }
+        meanNearestNeighbor = total / samples;
+    }
+
+    return {
+        count,
+        bounds,
+        size,
+        center,
+        centroid,
+        halfExtent: Math.max(...size) / 2,
+        meanNearestNeighbor
+    };
+}
+
+/**
+ * Checks a bake against the normalization convention
+ * @param {Object} stats - Output of computeBakeStats
+ * @param {number} targetRadius - Convention radius (largest side = 2 * targetRadius)
+ * @param {Object} [options]
+ * @param {number} [options.tolerance=0.05] - Allowed relative scale / centering error
+ * @returns {Array<string>} Human-readable warnings, empty when the bake follows the convention
+ */
+export function checkBakeConvention(stats, targetRadius, { tolerance = 0.05 } = {}) {
+    const warnings = [];
+    if (stats.count === 0) return ['empty bake'];
+
+    const ratio = stats.halfExtent / targetRadius;
+    if (Math.abs(ratio - 1) > tolerance) {
+        warnings.push(`scale: largest half-extent ${stats.halfExtent.toFixed(2)} vs targetRadius ${targetRadius} (×${ratio.toFixed(2)})`);
+    }
+
+    const offset = Math.hypot(...stats.center);
+    if (offset > tolerance * targetRadius) {
+        warnings.push(`centering: bounding box center off the origin by ${offset.toFixed(2)} (${stats.center.map(v => v.toFixed(2)).join(', ')})`);
+    }
+
+    return warnings;
+}
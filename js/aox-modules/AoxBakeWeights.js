@@ -0,0 +1,193 @@
+/**
+ * AoxBakeWeights Module
+ * Density weighting for AOX bakes: per-face multipliers on top of the area-weighted distribution,
+ * so small details (a logo region, sharp features) get more points than large flat surfaces.
+ * Three-free, runs in the baker worker and in Node through AoxBakePipeline.
+ *
+ * Sources (per-vertex value w in [0, 1], averaged over the face's three vertices):
+ *  - none:        w = 1
+ *  - vertexColor: luminance of the linear vertex color (× material color)
+ *  - attribute:   first component of a named vertex attribute (e.g. "_WEIGHT"), divided by its max;
+ *                 meshes without the attribute count as fully weighted
+ *  - curvature:   1 - |mean face normal| around each vertex (welded by position), divided by its max
+ *
+ * face weight = meshWeight × ((1 - strength) + strength × w)
+ * A mesh weight of 0 excludes the mesh (AoxBakePipeline drops it before merging).
+ */
+
+export const BAKE_WEIGHTINGS = ['none', 'vertexColor', 'attribute', 'curvature'];
+
+export const DEFAULT_WEIGHTING = {
+    source: 'none',
+    attribute: null,
+    strength: 1,
+    meshWeights: null       // Array<number> per bake mesh, null = all 1
+};
+
+/**
+ * Names of the custom vertex attributes found on the bake meshes (weighting candidates)
+ * @param {Array<Object>} meshes - Bake meshes with optional `attributes`
+ * @returns {Array<string>}
+ */
+export function listWeightAttributes(meshes) {
+    const names = new Set();
+    meshes.forEach(mesh => Object.keys(mesh.attributes || {}).forEach(name => names.add(name)));
+    return Array.from(names).sort();
+}
+
+/**
+ * Fills in the weighting defaults and rejects invalid settings
+ * @param {Object|null|undefined} weighting
+ * @returns {Object}
+ */
+export function normalizeWeighting(weighting) {
+    const result = { ...DEFAULT_WEIGHTING, ...weighting };
+
+    if (!BAKE_WEIGHTINGS.includes(result.source)) {
+        throw new Error(`[AoxBakeWeights] Unknown weighting "${result.source}"`);
+    }
+    if (result.source === 'attribute' && !result.attribute) {
+        throw new Error('[AoxBakeWeights] Attribute weighting needs an attribute name');
+    }
+    if (!(result.strength >= 0 && result.strength <= 1)) {
+        throw new Error(`[AoxBakeWeights] Strength must be between 0 and 1, got "${result.strength}"`);
+    }
+    if (result.meshWeights && result.meshWeights.some(w => !(w >= 0))) {
+        throw new Error('[AoxBakeWeights] Mesh weights must be numbers >= 0');
+    }
+
+    return result;
+}
+
+// Divides in place by the max value (all-zero arrays stay zero)
+function normalizeByMax(values) {
+    let max = 0;
+    for (let i = 0; i < values.length; i++) max = Math.max(max, values[i]);
+    if (max > 0) {
+        for (let i = 0; i < values.length; i++) values[i] /= max;
+    }
+    return values;
+}
+
+// --- VERTEX SOURCES ---
+function vertexColorWeights(geometry) {
+    const { colors, vertexCount } = geometry;
+    const weights = new Float32Array(vertexCount);
+    for (let i = 0; i < vertexCount; i++) {
+        weights[i] = 0.2126 * colors[i * 3] + 0.7152 * colors[i * 3 + 1] + 0.0722 * colors[i * 3 + 2];
+    }
+    return normalizeByMax(weights);
+}
+
+function attributeWeights(geometry, meshes, name) {
+    const weights = new Float32Array(geometry.vertexCount);
+    const missing = [];
+    let offset = 0;
+
+    meshes.forEach((mesh, m) => {
+        const count = mesh.positions.length / 3;
+        const attribute = mesh.attributes?.[name];
+
+        if (attribute) {
+            const itemSize = attribute.length / count;
+            for (let i = 0; i < count; i++) weights[offset + i] = Math.max(0, attribute[i * itemSize]);
+        } else {
+            missing.push([offset, count]);
+        }
+        offset += count;
+    });
+
+    if (missing.length === meshes.length) {
+        throw new Error(`[AoxBakeWeights] No mesh has a "${name}" attribute`);
+    }
+
+    normalizeByMax(weights);
+    missing.forEach(([start, count]) => weights.fill(1, start, start + count));
+    return weights;
+}
+
+// Vertices split at seams/hard edges share a position: weld them so creases read as curvature
+function curvatureWeights(geometry) {
+    const { positions, index, vertexCount, faceCount } = geometry;
+
+    const ids = new Uint32Array(vertexCount);
+    const keys = new Map();
+    for (let i = 0; i < vertexCount; i++) {
+        const key = `${Math.round(positions[i * 3] * 1e4)},${Math.round(positions[i * 3 + 1] * 1e4)},${Math.round(positions[i * 3 + 2] * 1e4)}`;
+        let id = keys.get(key);
+        if (id === undefined) {
+            id = keys.size;
+            keys.set(key, id);
+        }
+        ids[i] = id;
+    }
+
+    // Area-weighted face normals around each welded vertex
+    const normalSums = new Float64Array(keys.size * 3);
+    const areaSums = new Float64Array(keys.size);
+
+    for (let f = 0; f < faceCount; f++) {
+        const a = index[f * 3] * 3;
+        const b = index[f * 3 + 1] * 3;
+        const c = index[f * 3 + 2] * 3;
+
+        const abx = positions[b] - positions[a], aby = positions[b + 1] - positions[a + 1], abz = positions[b + 2] - positions[a + 2];
+        const acx = positions[c] - positions[a], acy = positions[c + 1] - positions[a + 1], acz = positions[c + 2] - positions[a + 2];
+        const nx = aby * acz - abz * acy;
+        const ny = abz * acx - abx * acz;
+        const nz = abx * acy - aby * acx;
+        const area = Math.sqrt(nx * nx + ny * ny + nz * nz);
+        if (area === 0) continue;
+
+        for (let k = 0; k < 3; k++) {
+            const id = ids[index[f * 3 + k]];
+            normalSums[id * 3] += nx;
+            normalSums[id * 3 + 1] += ny;
+            normalSums[id * 3 + 2] += nz;
+            areaSums[id] += area;
+        }
+    }
+
+    const weights = new Float32Array(vertexCount);
+    for (let i = 0; i < vertexCount; i++) {
+        const id = ids[i];
+        const length = Math.hypot(normalSums[id * 3], normalSums[id * 3 + 1], normalSums[id * 3 + 2]);
+        weights[i] = areaSums[id] > 0 ? 1 - length / areaSums[id] : 0;
+    }
+    return normalizeByMax(weights);
+}
+
+/**
+ * Per-face density multipliers for AoxSurfaceSampler
+ * @param {Object} geometry - Output of mergeBakeMeshes
+ * @param {Array<Object>} meshes - The bake meshes merged into `geometry`, same order
+ * @param {Object} weighting - Output of normalizeWeighting (meshWeights aligned with `meshes`)
+ * @returns {Float32Array|null} null when every face keeps weight 1
+ */
+export function computeFaceWeights(geometry, meshes, weighting) {
+    const { source, attribute, strength, meshWeights } = weighting;
+    const uniformMeshes = !meshWeights || meshWeights.every(w => w === 1);
+    if ((source === 'none' || strength === 0) && uniformMeshes) return null;
+
+    let vertexWeights = null;
+    if (source === 'vertexColor') vertexWeights = vertexColorWeights(geometry);
+    else if (source === 'attribute') vertexWeights = attributeWeights(geometry, meshes, attribute);
+    else if (source === 'curvature') vertexWeights = curvatureWeights(geometry);
+
+    const { index, faceEnds, faceCount } = geometry;
+    const faceWeights = new Float32Array(faceCount);
+    let mesh = 0;
+
+    for (let f = 0; f < faceCount; f++) {
+        while (f >= faceEnds[mesh]) mesh++;
+
+        let w = 1;
+        if (vertexWeights) {
+            const mean = (vertexWeights[index[f * 3]] + vertexWeights[index[f * 3 + 1]] + vertexWeights[index[f * 3 + 2]]) / 3;
+            w = (1 - strength) + strength * mean;
+        }
+        faceWeights[f] = w * (meshWeights ? meshWeights[mesh] : 1);
+    }
+
+    return faceWeights;
+}
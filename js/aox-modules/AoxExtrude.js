@@ -0,0 +1,335 @@
+/**
+ * AoxExtrude Module
+ * 2D outlines (SVG paths, font glyphs) to bake meshes: contours are nested into filled polygons
+ * with holes, triangulated (ear clipping) and extruded into a thin slab centered on z = 0.
+ * The result has the shape of extractBakeMeshes (AoxGlbReader), so logos and wordmarks go
+ * through the same bake pipeline as models. Three-free.
+ *
+ * Outline shape: { name, color: [r, g, b] linear | null, contours: Array<Array<number>> }
+ *  - contours: flat xy per closed contour, y up, any winding, no repeated closing point needed
+ *  - holes come from nesting (a contour inside an odd number of others is a hole): even-odd fill
+ */
+
+const WHITE = [1, 1, 1];
+
+// --- CONTOURS ---
+function signedArea(c) {
+    let area = 0;
+    for (let i = 0, j = c.length - 2; i < c.length; j = i, i += 2) {
+        area += c[j] * c[i + 1] - c[i] * c[j + 1];
+    }
+    return area / 2;
+}
+
+// Drops repeated points (and the closing duplicate); null when nothing with an area is left
+function cleanContour(c, epsilon) {
+    const out = [];
+    for (let i = 0; i < c.length; i += 2) {
+        const n = out.length;
+        if (n >= 2 && Math.abs(out[n - 2] - c[i]) <= epsilon && Math.abs(out[n - 1] - c[i + 1]) <= epsilon) continue;
+        out.push(c[i], c[i + 1]);
+    }
+    while (out.length >= 4 && Math.abs(out[0] - out[out.length - 2]) <= epsilon && Math.abs(out[1] - out[out.length - 1]) <= epsilon) {
+        out.length -= 2;
+    }
+
+    return out.length >= 6 && Math.abs(signedArea(out)) > epsilon * epsilon ? out : null;
+}
+
+function reverseContour(c) {
+    const out = new Array(c.length);
+    for (let i = 0; i < c.length; i += 2) {
+        out[c.length - 2 - i] = c[i];
+        out[c.length - 1 - i] = c[i + 1];
+    }
+    return out;
+}
+
+function pointInContour(x, y, c) {
+    let inside = false;
+    for (let i = 0, j = c.length - 2; i < c.length; j = i, i += 2) {
+        const xi = c[i], yi = c[i + 1], xj = c[j], yj = c[j + 1];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+/**
+ * Groups contours into filled polygons: outer contours CCW, their holes CW
+ * @param {Array<Array<number>>} contours - Cleaned contours
+ * @returns {Array<{outer: Array<number>, holes: Array<Array<number>>}>}
+ */
+function nestContours(contours) {
+    const items = contours.map(c => ({ c, area: Math.abs(signedArea(c)), depth: 0, parent: null }));
+
+    items.forEach(item => {
+        // Midpoint of the first edge: less likely than a vertex to sit on a touching contour
+        const x = (item.c[0] + item.c[2]) / 2;
+        const y = (item.c[1] + item.c[3]) / 2;
+
+        items.forEach(other => {
+            if (other === item || other.area <= item.area || !pointInContour(x, y, other.c)) return;
+            item.depth++;
+            if (!item.parent || other.area < item.parent.area) item.parent = other;
+        });
+    });
+
+    const polygons = new Map();
+    items.filter(item => item.depth % 2 === 0).forEach(item => {
+        polygons.set(item, { outer: signedArea(item.c) > 0 ? item.c : reverseContour(item.c), holes: [] });
+    });
+    items.filter(item => item.depth % 2 === 1).forEach(item => {
+        polygons.get(item.parent).holes.push(signedArea(item.c) < 0 ? item.c : reverseContour(item.c));
+    });
+
+    return Array.from(polygons.values());
+}
+
+// --- TRIANGULATION ---
+function cross(points, a, b, c) {
+    return (points[b * 2] - points[a * 2]) * (points[c * 2 + 1] - points[a * 2 + 1]) -
+        (points[b * 2 + 1] - points[a * 2 + 1]) * (points[c * 2] - points[a * 2]);
+}
+
+function samePoint(points, a, b) {
+    return points[a * 2] === points[b * 2] && points[a * 2 + 1] === points[b * 2 + 1];
+}
+
+function inTriangle(points, a, b, c, p) {
+    return cross(points, a, b, p) >= 0 && cross(points, b, c, p) >= 0 && cross(points, c, a, p) >= 0;
+}
+
+function inTriangleXY(ax, ay, bx, by, cx, cy, px, py) {
+    const d1 = (px - bx) * (ay - by) - (ax - bx) * (py - by);
+    const d2 = (px - cx) * (by - cy) - (bx - cx) * (py - cy);
+    const d3 = (px - ax) * (cy - ay) - (cx - ax) * (py - ay);
+    return !((d1 < 0 || d2 < 0 || d3 < 0) && (d1 > 0 || d2 > 0 || d3 > 0));
+}
+
+// Splices a CW hole into the CCW ring through a mutually visible vertex pair (Eberly's bridge)
+function bridgeHole(points, ring, hole) {
+    let m = 0;
+    hole.forEach((v, k) => { if (points[v * 2] > points[hole[m] * 2]) m = k; });
+    const mv = hole[m];
+    const mx = points[mv * 2], my = points[mv * 2 + 1];
+
+    // Closest edge hit by the ray from M towards +x; P = its endpoint furthest along x
+    let ix = Infinity;
+    let p = -1;
+    for (let k = 0; k < ring.length; k++) {
+        const a = ring[k], b = ring[(k + 1) % ring.length];
+        const ax = points[a * 2], ay = points[a * 2 + 1];
+        const bx = points[b * 2], by = points[b * 2 + 1];
+        if (ay === by || (ay > my && by > my) || (ay < my && by < my)) continue;
+
+        const x = ax + ((my - ay) * (bx - ax)) / (by - ay);
+        if (x >= mx && x < ix) {
+            ix = x;
+            p = bx > ax ? (k + 1) % ring.length : k;
+        }
+    }
+    if (p < 0) return ring.concat(hole);   // Not inside after all: left to the clipper
+
+    // Ring vertices inside triangle (M, I, P) can hide P: take the one closest in angle to the ray
+    const px = points[ring[p] * 2], py = points[ring[p] * 2 + 1];
+    let bestAngle = Infinity;
+    let bestDistance = Infinity;
+    for (let k = 0; k < ring.length; k++) {
+        const vx = points[ring[k] * 2], vy = points[ring[k] * 2 + 1];
+        if (k === p || vx < mx || !inTriangleXY(mx, my, ix, my, px, py, vx, vy)) continue;
+
+        const angle = Math.abs(Math.atan2(vy - my, vx - mx));
+        const distance = Math.hypot(vx - mx, vy - my);
+        if (angle < bestAngle || (angle === bestAngle && distance < bestDistance)) {
+            bestAngle = angle;
+            bestDistance = distance;
+            p = k;
+        }
+    }
+
+    const rotated = hole.slice(m).concat(hole.slice(0, m));
+    return ring.slice(0, p + 1).concat(rotated, [mv, ring[p]], ring.slice(p + 1));
+}
+
+function earClip(points, ring, triangles) {
+    const n = ring.length;
+    const prev = new Int32Array(n);
+    const next = new Int32Array(n);
+    for (let i = 0; i < n; i++) {
+        prev[i] = (i + n - 1) % n;
+        next[i] = (i + 1) % n;
+    }
+
+    const isEar = (i) => {
+        const a = ring[prev[i]], b = ring[i], c = ring[next[i]];
+        if (cross(points, a, b, c) <= 0) return false;
+
+        for (let k = next[next[i]]; k !== prev[i]; k = next[k]) {
+            const v = ring[k];
+            if (samePoint(points, v, a) || samePoint(points, v, b) || samePoint(points, v, c)) continue;
+            if (inTriangle(points, a, b, c, v)) return false;
+        }
+        return true;
+    };
+
+    let remaining = n;
+    let i = 0;
+    let stall = 0;
+
+    while (remaining > 3) {
+        if (isEar(i) || stall > remaining) {
+            // Stalled (degenerate input): clip anyway rather than loop forever
+            if (stall > remaining || cross(points, ring[prev[i]], ring[i], ring[next[i]]) !== 0) {
+                triangles.push(ring[prev[i]], ring[i], ring[next[i]]);
+            }
+            next[prev[i]] = next[i];
+            prev[next[i]] = prev[i];
+            i = next[i];
+            remaining--;
+            stall = 0;
+        } else {
+            i = next[i];
+            stall++;
+        }
+    }
+    triangles.push(ring[prev[i]], ring[i], ring[next[i]]);
+}
+
+/**
+ * Triangulates a polygon with holes
+ * @param {Array<number>} outer - CCW contour, flat xy
+ * @param {Array<Array<number>>} holes - CW contours
+ * @returns {{points: Array<number>, triangles: Array<number>}} points = outer then holes, CCW triangles
+ */
+export function triangulatePolygon(outer, holes = []) {
+    const points = outer.slice();
+    let ring = Array.from({ length: outer.length / 2 }, (_, i) => i);
+
+    const holeRings = holes.map(hole => {
+        const start = points.length / 2;
+        points.push(...hole);
+        return Array.from({ length: hole.length / 2 }, (_, i) => start + i);
+    });
+
+    // Rightmost holes first, so each bridge only has to cross the outer ring and bridged holes
+    holeRings
+        .sort((a, b) => Math.max(...b.map(v => points[v * 2])) - Math.max(...a.map(v => points[v * 2])))
+        .forEach(hole => { ring = bridgeHole(points, ring, hole); });
+
+    const triangles = [];
+    earClip(points, ring, triangles);
+    return { points, triangles };
+}
+
+// --- EXTRUSION ---
+function buildMesh(name, polygons, color, halfDepth) {
+    const positions = [];
+    const normals = [];
+    const index = [];
+    let vertexCount = 0;
+
+    const addVertex = (x, y, z, nx, ny, nz) => {
+        positions.push(x, y, z);
+        normals.push(nx, ny, nz);
+        return vertexCount++;
+    };
+
+    polygons.forEach(({ outer, holes }) => {
+        const { points, triangles } = triangulatePolygon(outer, holes);
+        const count = points.length / 2;
+
+        // Caps (a single sheet when the slab has no depth)
+        const front = vertexCount;
+        for (let i = 0; i < count; i++) addVertex(points[i * 2], points[i * 2 + 1], halfDepth, 0, 0, 1);
+        for (let t = 0; t < triangles.length; t += 3) {
+            index.push(front + triangles[t], front + triangles[t + 1], front + triangles[t + 2]);
+        }
+        if (halfDepth === 0) return;
+
+        const back = vertexCount;
+        for (let i = 0; i < count; i++) addVertex(points[i * 2], points[i * 2 + 1], -halfDepth, 0, 0, -1);
+        for (let t = 0; t < triangles.length; t += 3) {
+            index.push(back + triangles[t], back + triangles[t + 2], back + triangles[t + 1]);
+        }
+
+        // Side walls, flat shaded: outer CCW / holes CW, so the right-hand normal points out of the matter
+        [outer, ...holes].forEach(c => {
+            for (let i = 0; i < c.length; i += 2) {
+                const j = (i + 2) % c.length;
+                const dx = c[j] - c[i], dy = c[j + 1] - c[i + 1];
+                const length = Math.hypot(dx, dy);
+                if (length === 0) continue;
+                const nx = dy / length, ny = -dx / length;
+
+                const a = addVertex(c[i], c[i + 1], -halfDepth, nx, ny, 0);
+                const b = addVertex(c[j], c[j + 1], -halfDepth, nx, ny, 0);
+                const d = addVertex(c[j], c[j + 1], halfDepth, nx, ny, 0);
+                const e = addVertex(c[i], c[i + 1], halfDepth, nx, ny, 0);
+                index.push(a, b, d, a, d, e);
+            }
+        });
+    });
+
+    const rgb = color || WHITE;
+    const colors = new Float32Array(vertexCount * 3);
+    for (let i = 0; i < vertexCount; i++) colors.set(rgb, i * 3);
+
+    return {
+        name,
+        positions: new Float32Array(positions),
+        normals: new Float32Array(normals),
+        colors,
+        uvs: null,
+        index: new Uint32Array(index),
+        image: null,
+        texture: null,
+        attributes: {},
+        hasVertexColors: false
+    };
+}
+
+/**
+ * Extrudes outline shapes into bake meshes, one mesh per shape
+ * @param {Array<Object>} shapes - Outline shapes (see module header)
+ * @param {Object} [options]
+ * @param {number} [options.depth=0.08] - Slab thickness as a fraction of the largest side of the outlines
+ *   (0 = a flat sheet, sampled on one face only)
+ * @returns {{meshes: Array<Object>, meshCount: number, vertexCount: number, warnings: Array<string>}}
+ *   Same shape as extractBakeMeshes
+ */
+export function extrudeShapes(shapes, { depth = 0.08 } = {}) {
+    if (!(depth >= 0)) throw new Error(`[AoxExtrude] Depth must be >= 0, got "${depth}"`);
+
+    const min = [Infinity, Infinity];
+    const max = [-Infinity, -Infinity];
+    shapes.forEach(shape => shape.contours.forEach(c => {
+        for (let i = 0; i < c.length; i += 2) {
+            min[0] = Math.min(min[0], c[i]); max[0] = Math.max(max[0], c[i]);
+            min[1] = Math.min(min[1], c[i + 1]); max[1] = Math.max(max[1], c[i + 1]);
+        }
+    }));
+
+    const size = Math.max(max[0] - min[0], max[1] - min[1]);
+    if (!(size > 0)) throw new Error('[AoxExtrude] The outlines have no area');
+
+    const epsilon = size * 1e-7;
+    const halfDepth = (depth * size) / 2;
+    const meshes = [];
+    const warnings = [];
+
+    shapes.forEach(shape => {
+        const contours = shape.contours.map(c => cleanContour(c, epsilon)).filter(Boolean);
+        if (contours.length === 0) {
+            warnings.push(`Skipped "${shape.name}": no contour with an area`);
+            return;
+        }
+        meshes.push(buildMesh(shape.name, nestContours(contours), shape.color, halfDepth));
+    });
+
+    return {
+        meshes,
+        meshCount: meshes.length,
+        vertexCount: meshes.reduce((sum, mesh) => sum + mesh.positions.length / 3, 0),
+        warnings
+    };
+}
@@ -0,0 +1,385 @@
+/**
+ * AoxFontReader Module
+ * Minimal TrueType reader: glyph outlines of a string of text, as outline shapes for AoxExtrude.
+ * No dependencies and no DOM, so wordmarks bake the same way in the baker worker and in Node.
+ *
+ * Supported: .ttf (and .otf with TrueType `glyf` outlines), cmap formats 4 and 12, composite glyphs,
+ * legacy `kern` table (format 0) pairs. Not supported: CFF outlines (most .otf), WOFF/WOFF2
+ * (convert to .ttf), GPOS kerning, ligatures and complex shaping.
+ */
+
+const MAX_CURVE_SEGMENTS = 8;   // Per quadratic: glyphs are small, 8 keeps counters round
+
+// --- TABLES ---
+function readTables(view) {
+    const version = view.getUint32(0);
+    if (version === 0x4f54544f) throw new Error('[AoxFontReader] CFF outlines (OpenType "OTTO") are not supported, use a TrueType font');
+    if (version === 0x774f4646 || version === 0x774f4632) throw new Error('[AoxFontReader] WOFF fonts are not supported, use the .ttf');
+    if (version !== 0x00010000 && version !== 0x74727565) throw new Error('[AoxFontReader] Not a TrueType font');
+
+    const tables = {};
+    const count = view.getUint16(4);
+    for (let i = 0; i < count; i++) {
+        const record = 12 + i * 16;
+        const tag = String.fromCharCode(...[0, 1, 2, 3].map(k => view.getUint8(record + k)));
+        tables[tag] = { offset: view.getUint32(record + 8), length: view.getUint32(record + 12) };
+    }
+
+    ['head', 'hhea', 'hmtx', 'maxp', 'cmap', 'loca', 'glyf'].forEach(tag => {
+        if (!tables[tag]) throw new Error(`[AoxFontReader] Missing "${tag}" table`);
+    });
+    return tables;
+}
+
+// Unicode code point -> glyph index (best subtable: 3/10 or 0/4+ format 12, else 3/1 or 0/x format 4)
+function readCmap(view, offset) {
+    const count = view.getUint16(offset + 2);
+    let best = null;
+
+    for (let i = 0; i < count; i++) {
+        const record = offset + 4 + i * 8;
+        const platform = view.getUint16(record);
+        const encoding = view.getUint16(record + 2);
+        const table = offset + view.getUint32(record + 4);
+        const format = view.getUint16(table);
+
+        const unicode = platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10));
+        if (!unicode || (format !== 4 && format !== 12)) continue;
+        if (!best || (format === 12 && best.format === 4)) best = { format, table };
+    }
+    if (!best) throw new Error('[AoxFontReader] No Unicode cmap subtable');
+
+    const { format, table } = best;
+    if (format === 12) {
+        const groups = view.getUint32(table + 12);
+        return (code) => {
+            for (let g = 0; g < groups; g++) {
+                const record = table + 16 + g * 12;
+                const start = view.getUint32(record);
+                if (code >= start && code <= view.getUint32(record + 4)) return view.getUint32(record + 8) + code - start;
+            }
+            return 0;
+        };
+    }
+
+    const segments = view.getUint16(table + 6) / 2;
+    const ends = table + 14;
+    const starts = ends + segments * 2 + 2;
+    const deltas = starts + segments * 2;
+    const rangeOffsets = deltas + segments * 2;
+
+    return (code) => {
+        if (code > 0xffff) return 0;
+        for (let s = 0; s < segments; s++) {
+            if (code > view.getUint16(ends + s * 2)) continue;
+            const start = view.getUint16(starts + s * 2);
+            if (code < start) return 0;
+
+            const delta = view.getInt16(deltas + s * 2);
+            const rangeOffset = view.getUint16(rangeOffsets + s * 2);
+            if (rangeOffset === 0) return (code + delta) & 0xffff;
+
+            const glyph = view.getUint16(rangeOffsets + s * 2 + rangeOffset + (code - start) * 2);
+            return glyph === 0 ? 0 : (glyph + delta) & 0xffff;
+        }
+        return 0;
+    };
+}
+
+// Legacy kern table, format 0 subtables: "left,right" -> adjustment (font units)
+function readKerning(view, table) {
+    const pairs = new Map();
+    if (!table || view.getUint16(table.offset) !== 0) return pairs;
+
+    let subtable = table.offset + 4;
+    const count = view.getUint16(table.offset + 2);
+    for (let i = 0; i < count; i++) {
+        const length = view.getUint16(subtable + 2);
+        const coverage = view.getUint16(subtable + 4);
+        if ((coverage >> 8) === 0 && (coverage & 1) === 1) {   // Format 0, horizontal
+            const n = view.getUint16(subtable + 6);
+            for (let p = 0; p < n; p++) {
+                const record = subtable + 14 + p * 6;
+                pairs.set(`${view.getUint16(record)},${view.getUint16(record + 2)}`, view.getInt16(record + 4));
+            }
+        }
+        subtable += length;
+    }
+    return pairs;
+}
+
+// --- GLYPHS ---
+
+// Quadratic TrueType contour (on/off-curve points) to a flat polyline
+function flattenContour(points) {
+    const n = points.length;
+    if (n < 2) return [];
+
+    // Start on an on-curve point (or the implied midpoint of the first two off-curve points)
+    let first = points.findIndex(p => p.on);
+    let start;
+    if (first < 0) {
+        start = { x: (points[0].x + points[1].x) / 2, y: (points[0].y + points[1].y) / 2 };
+        first = 0;
+    } else {
+        start = points[first];
+        first++;
+    }
+
+    const out = [start.x, start.y];
+    let control = null;
+    let x0 = start.x, y0 = start.y;
+
+    const quad = (cx, cy, x, y) => {
+        for (let s = 1; s <= MAX_CURVE_SEGMENTS; s++) {
+            const t = s / MAX_CURVE_SEGMENTS, u = 1 - t;
+            out.push(u * u * x0 + 2 * u * t * cx + t * t * x, u * u * y0 + 2 * u * t * cy + t * t * y);
+        }
+        x0 = x;
+        y0 = y;
+    };
+
+    for (let k = 0; k < n; k++) {
+        const p = points[(first + k) % n];
+        if (p.on) {
+            if (control) quad(control.x, control.y, p.x, p.y);
+            else {
+                out.push(p.x, p.y);
+                x0 = p.x;
+                y0 = p.y;
+            }
+            control = null;
+        } else if (control) {
+            const mx = (control.x + p.x) / 2, my = (control.y + p.y) / 2;
+            quad(control.x, control.y, mx, my);
+            control = p;
+        } else {
+            control = p;
+        }
+    }
+    if (control) quad(control.x, control.y, start.x, start.y);
+
+    return out;
+}
+
+/**
+ * TrueType font with glyph outlines by code point
+ */
+export class AoxFont {
+    /**
+     * @param {ArrayBuffer} buffer - .ttf bytes
+     */
+    constructor(buffer) {
+        const view = new DataView(buffer);
+        const tables = readTables(view);
+        this.view = view;
+        this.tables = tables;
+
+        const head = tables.head.offset;
+        this.unitsPerEm = view.getUint16(head + 18);
+        this.longLoca = view.getInt16(head + 50) === 1;
+
+        const hhea = tables.hhea.offset;
+        this.ascender = view.getInt16(hhea + 4);
+        this.descender = view.getInt16(hhea + 6);
+        this.lineGap = view.getInt16(hhea + 8);
+        this.hMetricCount = view.getUint16(hhea + 34);
+        this.glyphCount = view.getUint16(tables.maxp.offset + 4);
+
+        this.glyphIndex = readCmap(view, tables.cmap.offset);
+        this.kerning = readKerning(view, tables.kern);
+    }
+
+    advanceWidth(glyph) {
+        const index = Math.min(glyph, this.hMetricCount - 1);
+        return this.view.getUint16(this.tables.hmtx.offset + index * 4);
+    }
+
+    kern(left, right) {
+        return this.kerning.get(`${left},${right}`) || 0;
+    }
+
+    glyphOffset(glyph) {
+        const loca = this.tables.loca.offset;
+        const read = (i) => this.longLoca ? this.view.getUint32(loca + i * 4) : this.view.getUint16(loca + i * 2) * 2;
+        const start = read(glyph);
+        return start === read(glyph + 1) ? -1 : this.tables.glyf.offset + start;   // -1: empty (space)
+    }
+
+    /**
+     * Contours of a glyph in font units (y up)
+     * @param {number} glyph - Glyph index
+     * @returns {Array<Array<{x: number, y: number, on: boolean}>>}
+     */
+    glyphContours(glyph, depth = 0) {
+        if (glyph >= this.glyphCount || depth > 8) return [];
+        const offset = this.glyphOffset(glyph);
+        if (offset < 0) return [];
+
+        const view = this.view;
+        const contourCount = view.getInt16(offset);
+        return contourCount >= 0
+            ? this.simpleGlyph(offset, contourCount)
+            : this.compositeGlyph(offset, depth);
+    }
+
+    simpleGlyph(offset, contourCount) {
+        const view = this.view;
+        const ends = [];
+        for (let c = 0; c < contourCount; c++) ends.push(view.getUint16(offset + 10 + c * 2));
+        const pointCount = contourCount > 0 ? ends[contourCount - 1] + 1 : 0;
+
+        let cursor = offset + 10 + contourCount * 2;
+        cursor += 2 + view.getUint16(cursor);   // Skip instructions
+
+        const flags = [];
+        while (flags.length < pointCount) {
+            const flag = view.getUint8(cursor++);
+            flags.push(flag);
+            if (flag & 8) {
+                const repeat = view.getUint8(cursor++);
+                for (let r = 0; r < repeat; r++) flags.push(flag);
+            }
+        }
+
+        const readCoords = (shortBit, sameBit) => {
+            const values = [];
+            let value = 0;
+            flags.forEach(flag => {
+                if (flag & shortBit) {
+                    const delta = view.getUint8(cursor++);
+                    value += flag & sameBit ? delta : -delta;
+                } else if (!(flag & sameBit)) {
+                    value += view.getInt16(cursor);
+                    cursor += 2;
+                }
+                values.push(value);
+            });
+            return values;
+        };
+        const xs = readCoords(2, 16);
+        const ys = readCoords(4, 32);
+
+        const contours = [];
+        let first = 0;
+        ends.forEach(end => {
+            const contour = [];
+            for (let i = first; i <= end; i++) contour.push({ x: xs[i], y: ys[i], on: (flags[i] & 1) === 1 });
+            contours.push(contour);
+            first = end + 1;
+        });
+        return contours;
+    }
+
+    compositeGlyph(offset, depth) {
+        const view = this.view;
+        const contours = [];
+        let cursor = offset + 10;
+        let flags;
+
+        do {
+            flags = view.getUint16(cursor);
+            const component = view.getUint16(cursor + 2);
+            cursor += 4;
+
+            let dx = 0, dy = 0;
+            if (flags & 1) {
+                dx = view.getInt16(cursor);
+                dy = view.getInt16(cursor + 2);
+                cursor += 4;
+            } else {
+                dx = view.getInt8(cursor);
+                dy = view.getInt8(cursor + 1);
+                cursor += 2;
+            }
+            if (!(flags & 2)) dx = dy = 0;   // Point-matched anchors: not supported, placed at the origin
+
+            const f2dot14 = (at) => view.getInt16(at) / 16384;
+            let a = 1, b = 0, c = 0, d = 1;
+            if (flags & 8) {
+                a = d = f2dot14(cursor);
+                cursor += 2;
+            } else if (flags & 0x40) {
+                a = f2dot14(cursor);
+                d = f2dot14(cursor + 2);
+                cursor += 4;
+            } else if (flags & 0x80) {
+                a = f2dot14(cursor);
+                b = f2dot14(cursor + 2);
+                c = f2dot14(cursor + 4);
+                d = f2dot14(cursor + 6);
+                cursor += 8;
+            }
+
+            this.glyphContours(component, depth + 1).forEach(contour => {
+                contours.push(contour.map(p => ({ x: a * p.x + c * p.y + dx, y: b * p.x + d * p.y + dy, on: p.on })));
+            });
+        } while (flags & 0x20);
+
+        return contours;
+    }
+}
+
+/**
+ * Parses a TrueType font
+ * @param {ArrayBuffer} buffer
+ * @returns {AoxFont}
+ */
+export function parseFont(buffer) {
+    return new AoxFont(buffer);
+}
+
+/**
+ * Outline shapes of a string of text, one shape per glyph (so mesh weights work per letter)
+ * @param {AoxFont} font
+ * @param {string} text - "\n" starts a new line
+ * @param {Object} [options]
+ * @param {number} [options.letterSpacing=0] - Extra advance, in em
+ * @param {number} [options.lineHeight=1.2] - In em
+ * @param {string} [options.align='center'] - left | center | right
+ * @returns {{shapes: Array<{name: string, color: null, contours: Array<Array<number>>}>, warnings: Array<string>}}
+ *   Coordinates in em, y up, first baseline at y = 0
+ */
+export function textOutlines(font, text, { letterSpacing = 0, lineHeight = 1.2, align = 'center' } = {}) {
+    const em = font.unitsPerEm;
+    const shapes = [];
+    const missing = new Set();
+
+    const lines = text.split('\n');
+    const widths = [];
+    const glyphRuns = lines.map(line => {
+        const run = [];
+        let x = 0;
+        let previous = null;
+
+        for (const char of line) {
+            const glyph = font.glyphIndex(char.codePointAt(0));
+            if (glyph === 0 && char.trim() !== '') missing.add(char);
+            if (previous !== null) x += font.kern(previous, glyph);
+            run.push({ char, glyph, x });
+            x += font.advanceWidth(glyph) + letterSpacing * em;
+            previous = glyph;
+        }
+        widths.push(x - (line.length > 0 ? letterSpacing * em : 0));
+        return run;
+    });
+
+    glyphRuns.forEach((run, l) => {
+        const shift = align === 'left' ? 0 : align === 'right' ? -widths[l] : -widths[l] / 2;
+        const baseline = -l * lineHeight * em;
+
+        run.forEach(({ char, glyph, x }) => {
+            if (glyph === 0) return;   // .notdef box of a missing character
+            const contours = font.glyphContours(glyph)
+                .map(flattenContour)
+                .filter(c => c.length >= 6)
+                .map(c => c.map((v, k) => (k % 2 === 0 ? v + x + shift : v + baseline) / em));
+            if (contours.length > 0) shapes.push({ name: `"${char}"[${shapes.length}]`, color: null, contours });
+        });
+    });
+
+    const warnings = [];
+    if (missing.size > 0) warnings.push(`Characters missing from the font: ${Array.from(missing).join(' ')}`);
+    if (shapes.length === 0) warnings.push('The text has no visible glyphs');
+    return { shapes, warnings };
+}
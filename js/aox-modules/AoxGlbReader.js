@@ -0,0 +1,379 @@
+/**
+ * AoxGlbReader Module
+ * Minimal glTF 2.0 reader (.glb, or .gltf with embedded data: URIs) producing AOX bake meshes.
+ * Three-free so the browser baker and the Node bake command read models identically.
+ *
+ * Supported: node hierarchy (matrix / TRS), triangle primitives (indexed or not),
+ * POSITION, NORMAL (computed when missing), COLOR_0, TEXCOORD_n, baseColorFactor,
+ * baseColorTexture (returned as encoded image bytes, decoding is up to the caller),
+ * custom vertex attributes (e.g. "_WEIGHT", first component only) for density weighting.
+ * Not supported: Draco / meshopt compression, sparse accessors, external buffers.
+ */
+
+const GLB_MAGIC = 0x46546c67;        // "glTF"
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+
+const TRIANGLES = 4;
+
+const COMPONENT_READERS = {
+    5120: { bytes: 1, read: (view, offset) => view.getInt8(offset), normalize: v => Math.max(v / 127, -1) },
+    5121: { bytes: 1, read: (view, offset) => view.getUint8(offset), normalize: v => v / 255 },
+    5122: { bytes: 2, read: (view, offset) => view.getInt16(offset, true), normalize: v => Math.max(v / 32767, -1) },
+    5123: { bytes: 2, read: (view, offset) => view.getUint16(offset, true), normalize: v => v / 65535 },
+    5125: { bytes: 4, read: (view, offset) => view.getUint32(offset, true), normalize: v => v },
+    5126: { bytes: 4, read: (view, offset) => view.getFloat32(offset, true), normalize: v => v }
+};
+
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+// Attributes with a dedicated meaning, everything else is offered as a weight source
+const CORE_ATTRIBUTE = /^(POSITION|NORMAL|TANGENT|TEXCOORD_\d+|JOINTS_\d+|WEIGHTS_\d+)$/;
+
+const UNSUPPORTED_EXTENSIONS = ['KHR_draco_mesh_compression', 'EXT_meshopt_compression'];
+
+// --- CONTAINER ---
+function decodeDataUri(uri) {
+    const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(uri);
+    if (!match) return null;
+
+    if (!match[2]) {
+        return { bytes: new TextEncoder().encode(decodeURIComponent(match[3])), mimeType: match[1] };
+    }
+    const binary = atob(match[3]);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return { bytes, mimeType: match[1] };
+}
+
+/**
+ * Parses a .glb or .gltf file
+ * @param {ArrayBuffer} arrayBuffer
+ * @returns {{json: Object, buffers: Array<Uint8Array>}}
+ */
+export function parseGltf(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    let json;
+    let binChunk = null;
+
+    if (arrayBuffer.byteLength >= 12 && view.getUint32(0, true) === GLB_MAGIC) {
+        const length = view.getUint32(8, true);
+        let offset = 12;
+
+        while (offset + 8 <= length) {
+            const chunkLength = view.getUint32(offset, true);
+            const chunkType = view.getUint32(offset + 4, true);
+            const chunk = new Uint8Array(arrayBuffer, offset + 8, chunkLength);
+
+            if (chunkType === CHUNK_JSON) json = JSON.parse(new TextDecoder().decode(chunk));
+            else if (chunkType === CHUNK_BIN) binChunk = chunk;
+
+            offset += 8 + chunkLength;
+        }
+        if (!json) throw new Error('[AoxGlbReader] GLB has no JSON chunk');
+    } else {
+        try {
+            json = JSON.parse(new TextDecoder().decode(new Uint8Array(arrayBuffer)));
+        } catch (e) {
+            throw new Error('[AoxGlbReader] Not a .glb or .gltf file');
+        }
+    }
+
+    if (!json.asset || !/^2\./.test(json.asset.version)) {
+        throw new Error(`[AoxGlbReader] Unsupported glTF version "${json.asset?.version}"`);
+    }
+
+    const required = (json.extensionsRequired || []).filter(name => UNSUPPORTED_EXTENSIONS.includes(name));
+    if (required.length > 0) {
+        throw new Error(`[AoxGlbReader] Unsupported extension(s): ${required.join(', ')}`);
+    }
+
+    const buffers = (json.buffers || []).map((buffer, index) => {
+        if (buffer.uri === undefined) {
+            if (index === 0 && binChunk) return binChunk;
+            throw new Error(`[AoxGlbReader] Buffer ${index} has no data`);
+        }
+        const decoded = decodeDataUri(buffer.uri);
+        if (!decoded) {
+            throw new Error(`[AoxGlbReader] External buffer "${buffer.uri}" not supported, export a .glb`);
+        }
+        return decoded.bytes;
+    });
+
+    return { json, buffers };
+}
+
+// --- ACCESSORS ---
+function bufferViewBytes(gltf, index) {
+    const bufferView = gltf.json.bufferViews[index];
+    const buffer = gltf.buffers[bufferView.buffer];
+    return new Uint8Array(buffer.buffer, buffer.byteOffset + (bufferView.byteOffset || 0), bufferView.byteLength);
+}
+
+/**
+ * Reads an accessor into a flat Float32Array (or Uint32Array for `asIndex`)
+ */
+function readAccessor(gltf, index, asIndex = false) {
+    const accessor = gltf.json.accessors[index];
+    if (accessor.sparse) {
+        throw new Error(`[AoxGlbReader] Sparse accessor ${index} not supported`);
+    }
+
+    const itemSize = TYPE_SIZES[accessor.type];
+    const component = COMPONENT_READERS[accessor.componentType];
+    const out = asIndex ? new Uint32Array(accessor.count * itemSize) : new Float32Array(accessor.count * itemSize);
+
+    if (accessor.bufferView === undefined) return { array: out, itemSize, count: accessor.count };
+
+    const bytes = bufferViewBytes(gltf, accessor.bufferView);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const stride = gltf.json.bufferViews[accessor.bufferView].byteStride || component.bytes * itemSize;
+    const base = accessor.byteOffset || 0;
+    const normalized = accessor.normalized && !asIndex;
+
+    for (let i = 0; i < accessor.count; i++) {
+        for (let k = 0; k < itemSize; k++) {
+            const value = component.read(view, base + i * stride + k * component.bytes);
+            out[i * itemSize + k] = normalized ? component.normalize(value) : value;
+        }
+    }
+
+    return { array: out, itemSize, count: accessor.count };
+}
+
+// --- MATRICES (column-major, like glTF) ---
+function identity() {
+    return [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+}
+
+function multiply(a, b) {
+    const out = new Array(16);
+    for (let col = 0; col < 4; col++) {
+        for (let row = 0; row < 4; row++) {
+            out[col * 4 + row] =
+                a[row] * b[col * 4] +
+                a[4 + row] * b[col * 4 + 1] +
+                a[8 + row] * b[col * 4 + 2] +
+                a[12 + row] * b[col * 4 + 3];
+        }
+    }
+    return out;
+}
+
+function composeTRS(node) {
+    const [tx, ty, tz] = node.translation || [0, 0, 0];
+    const [x, y, z, w] = node.rotation || [0, 0, 0, 1];
+    const [sx, sy, sz] = node.scale || [1, 1, 1];
+
+    const x2 = x + x, y2 = y + y, z2 = z + z;
+    const xx = x * x2, xy = x * y2, xz = x * z2;
+    const yy = y * y2, yz = y * z2, zz = z * z2;
+    const wx = w * x2, wy = w * y2, wz = w * z2;
+
+    return [
+        (1 - (yy + zz)) * sx, (xy + wz) * sx, (xz - wy) * sx, 0,
+        (xy - wz) * sy, (1 - (xx + zz)) * sy, (yz + wx) * sy, 0,
+        (xz + wy) * sz, (yz - wx) * sz, (1 - (xx + yy)) * sz, 0,
+        tx, ty, tz, 1
+    ];
+}
+
+// Inverse transpose of the upper 3x3, row-major [m00, m01, m02, m10, ...]
+function normalMatrix(m) {
+    const a00 = m[0], a01 = m[4], a02 = m[8];
+    const a10 = m[1], a11 = m[5], a12 = m[9];
+    const a20 = m[2], a21 = m[6], a22 = m[10];
+
+    const c00 = a11 * a22 - a12 * a21;
+    const c01 = a12 * a20 - a10 * a22;
+    const c02 = a10 * a21 - a11 * a20;
+    const det = a00 * c00 + a01 * c01 + a02 * c02;
+    if (det === 0) return [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+    // (A^-1)^T = cofactor(A) / det
+    return [
+        c00 / det, c01 / det, c02 / det,
+        (a02 * a21 - a01 * a22) / det, (a00 * a22 - a02 * a20) / det, (a01 * a20 - a00 * a21) / det,
+        (a01 * a12 - a02 * a11) / det, (a02 * a10 - a00 * a12) / det, (a00 * a11 - a01 * a10) / det
+    ];
+}
+
+// --- GEOMETRY ---
+function computeNormals(positions, index, vertexCount) {
+    const normals = new Float32Array(vertexCount * 3);
+    const faceCount = index ? index.length / 3 : vertexCount / 3;
+
+    for (let f = 0; f < faceCount; f++) {
+        const a = (index ? index[f * 3] : f * 3) * 3;
+        const b = (index ? index[f * 3 + 1] : f * 3 + 1) * 3;
+        const c = (index ? index[f * 3 + 2] : f * 3 + 2) * 3;
+
+        // (C - B) x (A - B), area-weighted like BufferGeometry.computeVertexNormals
+        const cbx = positions[c] - positions[b], cby = positions[c + 1] - positions[b + 1], cbz = positions[c + 2] - positions[b + 2];
+        const abx = positions[a] - positions[b], aby = positions[a + 1] - positions[b + 1], abz = positions[a + 2] - positions[b + 2];
+        const nx = cby * abz - cbz * aby;
+        const ny = cbz * abx - cbx * abz;
+        const nz = cbx * aby - cby * abx;
+
+        for (const v of [a, b, c]) {
+            normals[v] += nx;
+            normals[v + 1] += ny;
+            normals[v + 2] += nz;
+        }
+    }
+
+    for (let i = 0; i < normals.length; i += 3) {
+        const length = Math.hypot(normals[i], normals[i + 1], normals[i + 2]) || 1;
+        normals[i] /= length;
+        normals[i + 1] /= length;
+        normals[i + 2] /= length;
+    }
+    return normals;
+}
+
+function readImage(gltf, textureInfo, warnings) {
+    if (!textureInfo) return null;
+
+    const texture = gltf.json.textures?.[textureInfo.index];
+    const image = gltf.json.images?.[texture?.source];
+    if (!image) return null;
+
+    if (image.bufferView !== undefined) {
+        return { bytes: bufferViewBytes(gltf, image.bufferView).slice(), mimeType: image.mimeType || 'image/png' };
+    }
+    const decoded = image.uri ? decodeDataUri(image.uri) : null;
+    if (!decoded) {
+        warnings.push(`External image "${image.uri}" not embedded, texture ignored`);
+        return null;
+    }
+    return decoded;
+}
+
+function buildPrimitive(gltf, primitive, worldMatrix, label, warnings) {
+    const mode = primitive.mode ?? TRIANGLES;
+    if (mode !== TRIANGLES) {
+        warnings.push(`${label}: primitive mode ${mode} is not triangles, skipped`);
+        return null;
+    }
+    if (primitive.attributes.POSITION === undefined) {
+        warnings.push(`${label}: no POSITION attribute, skipped`);
+        return null;
+    }
+
+    const position = readAccessor(gltf, primitive.attributes.POSITION);
+    const count = position.count;
+    const index = primitive.indices !== undefined ? readAccessor(gltf, primitive.indices, true).array : null;
+
+    // World-space positions
+    const m = worldMatrix;
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        const x = position.array[i * 3], y = position.array[i * 3 + 1], z = position.array[i * 3 + 2];
+        positions[i * 3] = m[0] * x + m[4] * y + m[8] * z + m[12];
+        positions[i * 3 + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+        positions[i * 3 + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+    }
+
+    // World-space normals (read + normal matrix, or computed from world positions)
+    let normals;
+    if (primitive.attributes.NORMAL !== undefined) {
+        const normal = readAccessor(gltf, primitive.attributes.NORMAL).array;
+        const n = normalMatrix(m);
+        normals = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            const x = normal[i * 3], y = normal[i * 3 + 1], z = normal[i * 3 + 2];
+            const nx = n[0] * x + n[1] * y + n[2] * z;
+            const ny = n[3] * x + n[4] * y + n[5] * z;
+            const nz = n[6] * x + n[7] * y + n[8] * z;
+            const length = Math.hypot(nx, ny, nz) || 1;
+            normals[i * 3] = nx / length;
+            normals[i * 3 + 1] = ny / length;
+            normals[i * 3 + 2] = nz / length;
+        }
+    } else {
+        normals = computeNormals(positions, index, count);
+    }
+
+    // color = baseColorFactor × COLOR_0 (both linear)
+    const material = gltf.json.materials?.[primitive.material];
+    const pbr = material?.pbrMetallicRoughness || {};
+    const [fr, fg, fb] = pbr.baseColorFactor || [1, 1, 1, 1];
+    const vertexColor = primitive.attributes.COLOR_0 !== undefined ? readAccessor(gltf, primitive.attributes.COLOR_0) : null;
+    const colors = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        const base = vertexColor ? i * vertexColor.itemSize : 0;
+        colors[i * 3] = fr * (vertexColor ? vertexColor.array[base] : 1);
+        colors[i * 3 + 1] = fg * (vertexColor ? vertexColor.array[base + 1] : 1);
+        colors[i * 3 + 2] = fb * (vertexColor ? vertexColor.array[base + 2] : 1);
+    }
+
+    const texCoord = pbr.baseColorTexture?.texCoord ?? 0;
+    const uvAttribute = primitive.attributes[`TEXCOORD_${texCoord}`];
+    const uvs = uvAttribute !== undefined ? readAccessor(gltf, uvAttribute).array : null;
+    const image = uvs ? readImage(gltf, pbr.baseColorTexture, warnings) : null;
+
+    const attributes = {};
+    Object.entries(primitive.attributes)
+        .filter(([name]) => !CORE_ATTRIBUTE.test(name))
+        .forEach(([name, accessor]) => {
+            const { array, itemSize } = readAccessor(gltf, accessor);
+            attributes[name] = itemSize === 1 ? array : array.filter((_, i) => i % itemSize === 0);
+        });
+
+    return {
+        name: label,
+        positions,
+        normals,
+        colors,
+        uvs,
+        index,
+        image,              // Encoded base color texture, decode into `texture` before baking
+        texture: null,
+        attributes,
+        hasVertexColors: !!vertexColor
+    };
+}
+
+/**
+ * Flattens the default scene into world-space bake meshes (one per triangle primitive)
+ * @param {{json: Object, buffers: Array<Uint8Array>}} gltf - Output of parseGltf
+ * @returns {{meshes: Array<Object>, meshCount: number, vertexCount: number, warnings: Array<string>}}
+ */
+export function extractBakeMeshes(gltf) {
+    const { json } = gltf;
+    const nodes = json.nodes || [];
+    const warnings = [];
+    const meshes = [];
+    let meshCount = 0;
+
+    let roots;
+    const scene = json.scenes?.[json.scene ?? 0];
+    if (scene) {
+        roots = scene.nodes || [];
+    } else {
+        const children = new Set(nodes.flatMap(node => node.children || []));
+        roots = nodes.map((_, i) => i).filter(i => !children.has(i));
+    }
+
+    const visit = (nodeIndex, parentMatrix) => {
+        const node = nodes[nodeIndex];
+        const local = node.matrix ? node.matrix.slice() : composeTRS(node);
+        const world = multiply(parentMatrix, local);
+
+        if (node.mesh !== undefined) {
+            meshCount++;
+            const mesh = json.meshes[node.mesh];
+            mesh.primitives.forEach((primitive, p) => {
+                const label = `${mesh.name || `mesh ${node.mesh}`}[${p}]`;
+                const built = buildPrimitive(gltf, primitive, world, label, warnings);
+                if (built) meshes.push(built);
+            });
+        }
+
+        (node.children || []).forEach(child => visit(child, world));
+    };
+    roots.forEach(root => visit(root, identity()));
+
+    const vertexCount = meshes.reduce((sum, mesh) => sum + mesh.positions.length / 3, 0);
+    return { meshes, meshCount, vertexCount, warnings };
+}
@@ -0,0 +1,306 @@
+/**
+ * AoxManifest Module
+ * Loads and validates data/aox/manifest.json, the declarative list of AOX ambiti.
+ *
+ * Entry shape:
+ * { id, points, color, transition: { duration, ease }, choreography?: [stage], stagger?, variants: [{ id, points }] }
+ * `points` is a bake base name inside the manifest folder (".aox" first, then ".json"),
+ * or null for an ambito that deliberately has no morph target yet.
+ * `color` tints bakes that carry no COLOR channel.
+ *
+ * `choreography` (ambiti and sphere) replaces the single `transition` tween with stages played in order:
+ *  { stage: 'scatter',  duration, ease, strength, progress }  push particles outward
+ *  { stage: 'swirl',    duration, ease, turns, progress }     spin around the Y axis
+ *  { stage: 'converge', duration, ease }                      settle on the target, undo scatter/swirl
+ * `progress` is how far the source -> target morph has gone when the stage ends (0..1).
+ * A choreography always ends with a converge stage (appended when missing).
+ *
+ * `stagger` (0..0.9, default 0) staggers the arrival of the groups of a composite bake (GROUP channel):
+ * group 0 lands first, the last group starts its morph `stagger` of the way into the transition.
+ *
+ * Top-level `pointer: { enabled, radius, strength }` tunes the cursor repulsion field
+ * (radius in world units around the cursor ray, strength = max push distance).
+ *
+ * Top-level `attract: { enabled, idleDelay, dwell, order }` drives the idle attract mode:
+ * after `idleDelay` seconds without interaction the section cycles through `order`
+ * (ambiti ids, default: every ambito with points) showing each for `dwell` seconds.
+ */
+
+export const DEFAULT_COLOR = '#c8e0f0';
+export const DEFAULT_TRANSITION = { duration: 1.5, ease: 'expo.out' };
+export const DEFAULT_SPHERE_TRANSITION = { duration: 1.8, ease: 'power4.out' };
+
+export const DEFAULT_STAGGER = 0;
+export const MAX_STAGGER = 0.9;
+
+export const DEFAULT_POINTER = { enabled: true, radius: 1.2, strength: 0.6 };
+export const DEFAULT_ATTRACT = { enabled: true, idleDelay: 8, dwell: 4.5, order: null };
+
+export const CHOREOGRAPHY_STAGES = {
+    scatter: { duration: 0.5, ease: 'power2.out', strength: 1.0, progress: 0.1 },
+    swirl: { duration: 0.6, ease: 'sine.inOut', turns: 0.25, progress: 0.35 },
+    converge: { duration: 1.2, ease: 'expo.out' }
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+function normalizeColor(value, fallback, label, issues) {
+    if (value === undefined) return fallback;
+    if (typeof value === 'string' && HEX_COLOR.test(value)) return value;
+    issues.push(`${label}: invalid color "${value}" (expected #rrggbb), using ${fallback}`);
+    return fallback;
+}
+
+function normalizeTransition(value, fallback, label, issues) {
+    if (value === undefined) return { ...fallback };
+
+    const duration = value?.duration ?? fallback.duration;
+    const ease = value?.ease ?? fallback.ease;
+    const result = { ...fallback };
+
+    if (typeof duration === 'number' && duration > 0) {
+        result.duration = duration;
+    } else {
+        issues.push(`${label}: invalid transition duration "${duration}", using ${fallback.duration}s`);
+    }
+
+    if (typeof ease === 'string' && ease.length > 0) {
+        result.ease = ease;
+    } else {
+        issues.push(`${label}: invalid transition ease "${ease}", using "${fallback.ease}"`);
+    }
+
+    return result;
+}
+
+function normalizeNumber(value, fallback, min, max, label, issues) {
+    if (value === undefined) return fallback;
+    if (typeof value === 'number' && value >= min && value <= max) return value;
+    issues.push(`${label}: invalid value "${value}" (expected ${min}..${max}), using ${fallback}`);
+    return fallback;
+}
+
+function normalizeChoreography(value, label, issues) {
+    if (value === undefined || value === null) return null;
+    if (!Array.isArray(value) || value.length === 0) {
+        issues.push(`${label}: "choreography" must be a non-empty array, using the plain transition`);
+        return null;
+    }
+
+    const stages = [];
+    value.forEach((entry, index) => {
+        const type = entry?.stage;
+        const stageLabel = `${label}.choreography[${index}]`;
+        const defaults = CHOREOGRAPHY_STAGES[type];
+        if (!defaults) {
+            issues.push(`${stageLabel}: unknown stage "${type}", stage skipped`);
+            return;
+        }
+
+        const { duration, ease } = normalizeTransition(entry, defaults, stageLabel, issues);
+        const stage = { stage: type, duration, ease };
+
+        if (type === 'scatter') {
+            stage.strength = normalizeNumber(entry.strength, defaults.strength, 0, 10, `${stageLabel}.strength`, issues);
+        }
+        if (type === 'swirl') {
+            stage.turns = normalizeNumber(entry.turns, defaults.turns, -10, 10, `${stageLabel}.turns`, issues);
+        }
+        if (type !== 'converge') {
+            stage.progress = normalizeNumber(entry.progress, defaults.progress, 0, 1, `${stageLabel}.progress`, issues);
+        }
+
+        stages.push(stage);
+    });
+
+    if (stages.length === 0) return null;
+    if (stages[stages.length - 1].stage !== 'converge') {
+        issues.push(`${label}: choreography does not end with "converge", one was appended`);
+        stages.push({ stage: 'converge', ...CHOREOGRAPHY_STAGES.converge });
+    }
+    return stages;
+}
+
+function normalizePointer(value, issues) {
+    const pointer = { ...DEFAULT_POINTER };
+    if (value === undefined) return pointer;
+    if (!value || typeof value !== 'object') {
+        issues.push('pointer: must be an object, using defaults');
+        return pointer;
+    }
+
+    if (value.enabled !== undefined) {
+        if (typeof value.enabled === 'boolean') pointer.enabled = value.enabled;
+        else issues.push(`pointer.enabled: invalid value "${value.enabled}", using ${pointer.enabled}`);
+    }
+    pointer.radius = normalizeNumber(value.radius, DEFAULT_POINTER.radius, 0.01, 20, 'pointer.radius', issues);
+    pointer.strength = normalizeNumber(value.strength, DEFAULT_POINTER.strength, 0, 10, 'pointer.strength', issues);
+    return pointer;
+}
+
+function normalizeAttract(value, issues) {
+    const attract = { ...DEFAULT_ATTRACT };
+    if (value === undefined) return attract;
+    if (!value || typeof value !== 'object') {
+        issues.push('attract: must be an object, using defaults');
+        return attract;
+    }
+
+    if (value.enabled !== undefined) {
+        if (typeof value.enabled === 'boolean') attract.enabled = value.enabled;
+        else issues.push(`attract.enabled: invalid value "${value.enabled}", using ${attract.enabled}`);
+    }
+    attract.idleDelay = normalizeNumber(value.idleDelay, DEFAULT_ATTRACT.idleDelay, 1, 600, 'attract.idleDelay', issues);
+    attract.dwell = normalizeNumber(value.dwell, DEFAULT_ATTRACT.dwell, 1, 120, 'attract.dwell', issues);
+
+    if (value.order !== undefined && value.order !== null) {
+        if (Array.isArray(value.order) && value.order.every(id => typeof id === 'string')) {
+            attract.order = value.order;
+        } else {
+            issues.push('attract.order: must be an array of ambito ids, using the manifest order');
+        }
+    }
+    return attract;
+}
+
+function normalizePoints(value, label, issues) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'string' && value.trim().length > 0) return value.trim();
+    issues.push(`${label}: invalid points file "${value}"`);
+    return null;
+}
+
+/**
+ * Validates raw manifest data and fills defaults.
+ * Never throws: every problem is collected in `issues` so callers can report them together.
+ * @param {Object} data - Parsed manifest JSON
+ * @returns {{count: number|null, sphere: Object, pointer: Object, attract: Object, ambiti: Array<Object>,
+ *   issues: Array<string>}}
+ */
+export function validateAoxManifest(data) {
+    const issues = [];
+    const result = {
+        count: null,
+        sphere: { color: DEFAULT_COLOR, transition: { ...DEFAULT_SPHERE_TRANSITION }, choreography: null },
+        pointer: { ...DEFAULT_POINTER },
+        attract: { ...DEFAULT_ATTRACT },
+        ambiti: [],
+        issues
+    };
+
+    if (!data || typeof data !== 'object') {
+        issues.push('manifest: not a JSON object');
+        return result;
+    }
+
+    if (data.count !== undefined) {
+        if (Number.isInteger(data.count) && data.count > 0) {
+            result.count = data.count;
+        } else {
+            issues.push(`manifest: invalid count "${data.count}"`);
+        }
+    }
+
+    result.sphere.color = normalizeColor(data.sphere?.color, DEFAULT_COLOR, 'sphere', issues);
+    result.sphere.transition = normalizeTransition(data.sphere?.transition, DEFAULT_SPHERE_TRANSITION, 'sphere', issues);
+    result.sphere.choreography = normalizeChoreography(data.sphere?.choreography, 'sphere', issues);
+    result.pointer = normalizePointer(data.pointer, issues);
+    result.attract = normalizeAttract(data.attract, issues);
+
+    if (!Array.isArray(data.ambiti)) {
+        issues.push('manifest: "ambiti" must be an array');
+        return result;
+    }
+
+    const seen = new Set();
+
+    data.ambiti.forEach((entry, index) => {
+        const id = typeof entry?.id === 'string' ? entry.id.trim() : '';
+        if (!id) {
+            issues.push(`ambiti[${index}]: missing id, entry skipped`);
+            return;
+        }
+        if (seen.has(id)) {
+            issues.push(`${id}: duplicate id, entry skipped`);
+            return;
+        }
+        seen.add(id);
+
+        const variants = [];
+        if (entry.variants !== undefined && !Array.isArray(entry.variants)) {
+            issues.push(`${id}: "variants" must be an array`);
+        }
+        (Array.isArray(entry.variants) ? entry.variants : []).forEach((variant, vIndex) => {
+            const variantId = typeof variant?.id === 'string' ? variant.id.trim() : '';
+            const label = `${id}.variants[${variantId || vIndex}]`;
+            const points = normalizePoints(variant?.points, label, issues);
+
+            if (!variantId) {
+                issues.push(`${label}: missing id, variant skipped`);
+            } else if (!points) {
+                issues.push(`${label}: missing points file, variant skipped`);
+            } else if (variants.some(v => v.id === variantId)) {
+                issues.push(`${label}: duplicate variant id, variant skipped`);
+            } else {
+                variants.push({ id: variantId, points });
+            }
+        });
+
+        result.ambiti.push({
+            id,
+            points: normalizePoints(entry.points, id, issues),
+            color: normalizeColor(entry.color, result.sphere.color, id, issues),
+            transition: normalizeTransition(entry.transition, DEFAULT_TRANSITION, id, issues),
+            choreography: normalizeChoreography(entry.choreography, id, issues),
+            stagger: normalizeNumber(entry.stagger, DEFAULT_STAGGER, 0, MAX_STAGGER, `${id}.stagger`, issues),
+            variants
+        });
+    });
+
+    // Attract order: only ids declared above, default = ambiti with a morph target
+    if (result.attract.order) {
+        const known = new Set(result.ambiti.map(entry => entry.id));
+        result.attract.order.filter(id => !known.has(id)).forEach(id => {
+            issues.push(`attract.order: unknown ambito "${id}", skipped`);
+        });
+        result.attract.order = result.attract.order.filter(id => known.has(id));
+    } else {
+        result.attract.order = result.ambiti.filter(entry => entry.points).map(entry => entry.id);
+    }
+
+    return result;
+}
+
+/**
+ * Fetches and validates the AOX manifest
+ * @param {string} [url='./data/aox/manifest.json']
+ * @returns {Promise<Object>} Validated manifest (see validateAoxManifest) plus `baseUrl`
+ */
+export async function loadAoxManifest(url = './data/aox/manifest.json') {
+    const baseUrl = url.slice(0, url.lastIndexOf('/') + 1);
+
+    let data = null;
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        data = await response.json();
+    } catch (error) {
+        const manifest = validateAoxManifest({ ambiti: [] });
+        manifest.issues.unshift(`manifest: could not load ${url} (${error.message})`);
+        return { ...manifest, baseUrl };
+    }
+
+    return { ...validateAoxManifest(data), baseUrl };
+}
+
+/**
+ * Builds the morph target key used by the scene for an ambito (and optional variant)
+ * @param {string} ambito
+ * @param {string} [variant]
+ * @returns {string}
+ */
+export function morphKey(ambito, variant) {
+    return variant ? `${ambito}:${variant}` : ambito;
+}
@@ -0,0 +1,214 @@
+import * as THREE from 'three';
+import { CHOREOGRAPHY_GLSL, ARRIVAL_GLSL } from './AoxMorphState.js';
+
+/**
+ * AoxMaterial Module
+ * The production AOX particle look ("living flame" shaders) and its choreography player.
+ * Shared by the site scene (initAoxCore) and the baker's morph preview, so a bake is judged
+ * with exactly the shaders and timing it gets on the site.
+ *
+ * The material reads the source/target state textures of an AoxMorphState;
+ * playAoxChoreography needs the global `gsap`.
+ */
+
+export const AOX_VERTEX_SHADER = `
+    uniform float uTransition;
+    uniform float uTime;
+    uniform float uPending;
+    uniform float uScatter;
+    uniform float uSwirl;
+    uniform float uStagger;              // Arrivo scaglionato dei gruppi (bake compositi)
+    uniform sampler2D tSourcePosition;   // xyz + size
+    uniform sampler2D tTargetPosition;
+    uniform sampler2D tSourceColor;      // rgb lineare
+    uniform sampler2D tTargetColor;      // alpha = rango d'arrivo
+    uniform vec3 uPointerOrigin;         // Raggio del cursore, spazio oggetto
+    uniform vec3 uPointerDir;
+    uniform float uPointerRadius;
+    uniform float uPointerStrength;      // 0 = campo spento
+    uniform float uDensity;              // Quota di particelle disegnate (governor di qualità)
+    uniform float uPointScale;           // Compensa il pixel ratio ridotto: stessa dimensione a schermo
+    attribute float aRandom;
+    attribute vec2 aStateUv;
+
+    varying vec3 vColor;
+
+    ${CHOREOGRAPHY_GLSL}
+    ${ARRIVAL_GLSL}
+
+    void main() {
+        // Diradamento uniforme: aRandom è casuale per particella, l'ordine dei bake no
+        if (aRandom > uDensity) {
+            gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+            gl_PointSize = 0.0;
+            return;
+        }
+
+        vec4 sourceState = texture2D(tSourcePosition, aStateUv);
+        vec4 targetState = texture2D(tTargetPosition, aStateUv);
+        vec3 sourcePosition = sourceState.xyz;
+        vec3 targetPosition = targetState.xyz;
+        float sourceSize = sourceState.w;
+        float targetSize = targetState.w;
+        vec3 sourceColor = texture2D(tSourceColor, aStateUv).rgb;
+        vec4 targetColorState = texture2D(tTargetColor, aStateUv);
+        vec3 targetColor = targetColorState.rgb;
+        float arrival = arrivalProgress(uTransition, targetColorState.a, uStagger);
+
+
+        float t = uTime;
+        t *= 0.3; // Rallentamento etereo (Living Flame Slow Motion)
+        
+        // === LIVING FLAME: Turbolenza Materica ===
+        
+        // Strato 1-3: Oscillazioni primarie (bassa/media frequenza)
+        vec3 vTurbulence = vec3(
+            sin(t * 1.3 + sourcePosition.y * 2.1) * cos(t * 0.7 + sourcePosition.z * 1.9),
+            cos(t * 2.7 + sourcePosition.x * 1.7) * sin(t * 1.1 + sourcePosition.z * 2.3),
+            sin(t * 3.1 + sourcePosition.x * 2.5) * cos(t * 0.9 + sourcePosition.y * 1.3)
+        );
+        
+        // Strato 4: Micro-jitter plasma ad alta frequenza (POTENZIATO)
+        vec3 microJitter = vec3(
+            sin(t * 7.5 + sourcePosition.x * 10.0),
+            sin(t * 8.3 + sourcePosition.y * 9.0),
+            sin(t * 6.9 + sourcePosition.z * 11.0)
+        ) * 0.25;
+        
+        vTurbulence += microJitter;
+        
+        vTurbulence += microJitter;
+        
+        // Gradiente hFactor UNIFORME: 1.0 su tutta la sfera (base = cima)
+        float hFactor = 1.0;
+        
+        // Deriva termica UNIFORME: spinta costante verso l'alto su tutto il volume
+        vTurbulence.y += hFactor * 0.2;
+        
+        // Ampiezza BILANCIATA (0.40) per gestire densità su 50k particelle
+        // + contenimento magnetico invariato
+        // Stato "pending": turbolenza intensificata mentre il target è in caricamento
+        float amplitude = 0.40 * (1.0 + uPending * 0.75);
+        float radialDist = length(sourcePosition);
+        float containment = 1.0 - smoothstep(2.5, 3.5, radialDist) * 0.4;
+        
+        vTurbulence *= amplitude * hFactor * containment;
+        
+        // === MORPHING ===
+        
+        // Morphing fluido: source → target
+        vec3 mixedPos = mix(sourcePosition, targetPosition, arrival);
+
+        // === COREOGRAFIA: scatter radiale + swirl attorno a Y (stessa funzione del pass di cattura) ===
+        mixedPos = applyChoreography(mixedPos, aRandom, uScatter, uSwirl);
+        
+        // Applicazione turbolenza con fade-out durante transizione
+        mixedPos += vTurbulence * (1.0 - uTransition);
+
+        // === POINTER FIELD: repulsione radiale dal raggio del cursore ===
+        vec3 toRay = mixedPos - uPointerOrigin;
+        vec3 rayRadial = toRay - uPointerDir * dot(toRay, uPointerDir);
+        float rayDist = length(rayRadial);
+        float field = (1.0 - smoothstep(0.0, uPointerRadius, rayDist)) * uPointerStrength;
+        mixedPos += (rayRadial / max(rayDist, 0.0001)) * field;
+
+        vec4 mvPosition = modelViewMatrix * vec4(mixedPos, 1.0);
+        
+        // Dimensione particella con attenuazione prospettica + leggera variazione
+        float sizeVariation = 1.0 + (vTurbulence.x + vTurbulence.y) * 2.0 * (1.0 - uTransition);
+        float particleSize = mix(sourceSize, targetSize, arrival);
+        gl_PointSize = (15.0 / -mvPosition.z) * sizeVariation * particleSize * uPointScale;
+
+        // Palette per particella: interpolata insieme alla posizione
+        vColor = mix(sourceColor, targetColor, arrival);
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+export const AOX_FRAGMENT_SHADER = `
+    varying vec3 vColor;
+
+    void main() {
+        // Trasforma i quadrati in cerchi perfetti e sfumati
+        float dist = distance(gl_PointCoord, vec2(0.5));
+        if (dist > 0.5) discard;
+        
+        // Gradiente radiale per l'effetto glow olografico
+        float strength = 1.0 - (dist * 2.0);
+        strength = pow(strength, 2.1);
+        
+        gl_FragColor = vec4(vColor, strength * 2.0);
+    }
+`;
+
+/**
+ * Production particle material bound to a morph state
+ * @param {AoxMorphState} morphState - Provides the source/target texture uniforms
+ * @param {Object} [options]
+ * @param {THREE.Vector3} [options.pointerOrigin] - Initial cursor ray origin (object space)
+ * @param {number} [options.pointerRadius=1.2]
+ * @returns {THREE.ShaderMaterial}
+ */
+export function createAoxMaterial(morphState, { pointerOrigin = new THREE.Vector3(0, 0, 11), pointerRadius = 1.2 } = {}) {
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            uTransition: { value: 0.0 },
+            uTime: { value: 0.0 },
+            uPending: { value: 0.0 },
+            uScatter: { value: 0.0 },
+            uSwirl: { value: 0.0 },
+            uStagger: { value: 0.0 },
+            uPointerOrigin: { value: pointerOrigin },
+            uPointerDir: { value: new THREE.Vector3(0, 0, -1) },
+            uPointerRadius: { value: pointerRadius },
+            uPointerStrength: { value: 0.0 },
+            uDensity: { value: 1.0 },
+            uPointScale: { value: 1.0 },
+            ...morphState.uniforms
+        },
+        vertexShader: AOX_VERTEX_SHADER,
+        fragmentShader: AOX_FRAGMENT_SHADER,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+    });
+}
+
+/**
+ * Suona le fasi di una coreografia (o la singola transizione) su uTransition / uScatter / uSwirl
+ * @param {Object} uniforms - Uniforms of createAoxMaterial
+ * @param {Array<Object>|null} choreography - Fasi validate dal manifest
+ * @param {{duration: number, ease: string}} transition - Usata quando non c'è coreografia
+ * @param {boolean} forward - true: source → target (uTransition 0 → 1); false: ritorno alla sfera (1 → 0)
+ * @param {Function} [onComplete]
+ * @returns {gsap.core.Timeline}
+ */
+export function playAoxChoreography(uniforms, choreography, transition, forward, onComplete) {
+    const { uTransition, uScatter, uSwirl } = uniforms;
+    const stages = choreography || [{ stage: 'converge', ...transition }];
+    const toTransition = (progress) => (forward ? progress : 1 - progress);
+
+    const timeline = gsap.timeline({ onComplete });
+
+    let swirl = 0;
+    stages.forEach(stage => {
+        const vars = { duration: stage.duration, ease: stage.ease };
+
+        if (stage.stage === 'converge') {
+            timeline.to(uTransition, { ...vars, value: toTransition(1) });
+            timeline.to(uScatter, { ...vars, value: 0 }, '<');
+            timeline.to(uSwirl, { ...vars, value: 0 }, '<');
+            return;
+        }
+
+        timeline.to(uTransition, { ...vars, value: toTransition(stage.progress) });
+        if (stage.stage === 'scatter') {
+            timeline.to(uScatter, { ...vars, value: stage.strength }, '<');
+        } else if (stage.stage === 'swirl') {
+            swirl += stage.turns * Math.PI * 2;
+            timeline.to(uSwirl, { ...vars, value: swirl }, '<');
+        }
+    });
+
+    return timeline;
+}
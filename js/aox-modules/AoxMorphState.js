@@ -0,0 +1,376 @@
+import * as THREE from 'three';
+
+/**
+ * AoxMorphState Module
+ * Source/target morph state of the AOX particles, kept in float textures (one texel per particle).
+ * Interrupting a morph resolves the visible state with a GPU pass into a ping-pong render target,
+ * so hover changes cost no CPU-side array work. Without renderable float textures
+ * (WebGL1, or WebGL2 without EXT_color_buffer_float) the same math runs on the CPU over the texture data.
+ *
+ * Texture layout: position texture = xyz + size (w), color texture = linear rgb + arrival rank (a).
+ * The arrival rank (0..1, from the GROUP channel of composite bakes) delays the particle's morph
+ * by rank * stagger; the target state's rank is the one that counts.
+ * A "state" is a { position, color } texture pair; the scene shader reads the source/target pair
+ * through `uniforms` and samples its texel with the `aStateUv` attribute.
+ */
+
+// Scatter radiale + swirl attorno a Y: condiviso fra vertex shader della scena e pass di cattura
+export const CHOREOGRAPHY_GLSL = `
+    vec3 applyChoreography(vec3 p, float random, float scatter, float swirl) {
+        p += normalize(p + vec3(0.0001)) * scatter * (0.6 + 0.8 * random);
+        float swirlAngle = swirl * (0.75 + 0.5 * random);
+        float swirlCos = cos(swirlAngle);
+        float swirlSin = sin(swirlAngle);
+        return vec3(swirlCos * p.x - swirlSin * p.z, p.y, swirlSin * p.x + swirlCos * p.z);
+    }
+`;
+
+// Progresso del morph per particella: con stagger > 0 i ranghi alti partono (e arrivano) dopo
+export const ARRIVAL_GLSL = `
+    float arrivalProgress(float transition, float rank, float stagger) {
+        if (stagger <= 0.0) return transition;
+        return clamp((transition - rank * stagger) / (1.0 - stagger), 0.0, 1.0);
+    }
+`;
+
+// CPU twin of arrivalProgress
+function arrivalProgress(transition, rank, stagger) {
+    if (stagger <= 0) return transition;
+    return Math.min(1, Math.max(0, (transition - rank * stagger) / (1 - stagger)));
+}
+
+/**
+ * Arrival ranks of a composite bake: group index spread over 0..1 (null for single-group bakes)
+ * @param {Uint8Array|null} groups - GROUP channel
+ * @returns {Float32Array|null}
+ */
+export function groupRanks(groups) {
+    if (!groups) return null;
+
+    let maxGroup = 0;
+    for (let i = 0; i < groups.length; i++) maxGroup = Math.max(maxGroup, groups[i]);
+    if (maxGroup === 0) return null;
+
+    return Float32Array.from(groups, group => group / maxGroup);
+}
+
+// CPU twin of applyChoreography, used by the fallback capture (xyz at array[i..i+2])
+function applyChoreography(array, i, random, scatter, swirl) {
+    let x = array[i];
+    let y = array[i + 1];
+    let z = array[i + 2];
+
+    const nx = x + 0.0001;
+    const ny = y + 0.0001;
+    const nz = z + 0.0001;
+    const push = scatter * (0.6 + 0.8 * random) / Math.hypot(nx, ny, nz);
+    x += nx * push;
+    y += ny * push;
+    z += nz * push;
+
+    const angle = swirl * (0.75 + 0.5 * random);
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+
+    array[i] = c * x - s * z;
+    array[i + 1] = y;
+    array[i + 2] = s * x + c * z;
+}
+
+const captureVertexShader = `
+    varying vec2 vUv;
+
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+const captureFragmentShader = `
+    uniform sampler2D tSource;
+    uniform sampler2D tTarget;
+    uniform sampler2D tRandom;
+    uniform sampler2D tTargetRank;   // Texture colore del target: rango d'arrivo in alpha
+    uniform float uTransition;
+    uniform float uStagger;
+    uniform float uScatter;
+    uniform float uSwirl;
+    uniform float uDisplace;
+
+    varying vec2 vUv;
+
+    ${CHOREOGRAPHY_GLSL}
+    ${ARRIVAL_GLSL}
+
+    void main() {
+        float arrival = arrivalProgress(uTransition, texture2D(tTargetRank, vUv).a, uStagger);
+        vec4 state = mix(texture2D(tSource, vUv), texture2D(tTarget, vUv), arrival);
+
+        if (uDisplace > 0.5) {
+            state.xyz = applyChoreography(state.xyz, texture2D(tRandom, vUv).r, uScatter, uSwirl);
+        }
+
+        gl_FragColor = state;
+    }
+`;
+
+export class AoxMorphState {
+    /**
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {Object} base - Resting state (the sphere)
+     * @param {number} base.count - Particle count
+     * @param {Float32Array} base.positions - xyz per particle
+     * @param {Float32Array} base.colors - Linear rgb per particle
+     * @param {Float32Array} base.sizes - Size multiplier per particle
+     * @param {Float32Array} base.randoms - Fixed random per particle (choreography amplitude)
+     */
+    constructor(renderer, { count, positions, colors, sizes, randoms }) {
+        this.renderer = renderer;
+        this.count = count;
+        this.size = Math.ceil(Math.sqrt(count));
+        this.randoms = randoms;
+        this.gpu = renderer.capabilities.isWebGL2 && renderer.extensions.has('EXT_color_buffer_float');
+
+        this.base = this.createState(positions, colors, sizes);
+
+        this.uniforms = {
+            tSourcePosition: { value: this.base.position },
+            tSourceColor: { value: this.base.color },
+            tTargetPosition: { value: this.base.position },
+            tTargetColor: { value: this.base.color }
+        };
+
+        if (this.gpu) {
+            this.initCapturePass();
+        } else {
+            // Scratch states written in place by the CPU capture, one per slot
+            this.scratch = {
+                source: this.createState(positions, colors, sizes),
+                target: this.createState(positions, colors, sizes)
+            };
+        }
+    }
+
+    // --- TEXTURES ---
+    createTexture(data) {
+        const texture = new THREE.DataTexture(data, this.size, this.size, THREE.RGBAFormat, THREE.FloatType);
+        texture.minFilter = THREE.NearestFilter;
+        texture.magFilter = THREE.NearestFilter;
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    /**
+     * Packs per-particle arrays into a state texture pair
+     * @param {Float32Array} positions - xyz per particle
+     * @param {Float32Array} colors - Linear rgb per particle
+     * @param {Float32Array|null} [sizes] - Size multiplier per particle (1.0 when omitted)
+     * @param {Float32Array|null} [ranks] - Arrival rank per particle (0 when omitted, see groupRanks)
+     * @returns {{position: THREE.DataTexture, color: THREE.DataTexture}}
+     */
+    createState(positions, colors, sizes = null, ranks = null) {
+        const texels = this.size * this.size * 4;
+        const position = new Float32Array(texels);
+        const color = new Float32Array(texels);
+
+        for (let i = 0; i < this.count; i++) {
+            position[i * 4] = positions[i * 3];
+            position[i * 4 + 1] = positions[i * 3 + 1];
+            position[i * 4 + 2] = positions[i * 3 + 2];
+            position[i * 4 + 3] = sizes ? sizes[i] : 1.0;
+
+            color[i * 4] = colors[i * 3];
+            color[i * 4 + 1] = colors[i * 3 + 1];
+            color[i * 4 + 2] = colors[i * 3 + 2];
+            color[i * 4 + 3] = ranks ? ranks[i] : 0.0;
+        }
+
+        return { position: this.createTexture(position), color: this.createTexture(color) };
+    }
+
+    /**
+     * Rewrites the rgb of an existing state (e.g. the sphere tint arriving from the manifest)
+     * @param {{color: THREE.DataTexture}} state
+     * @param {Float32Array} colors - Linear rgb per particle
+     */
+    updateColors(state, colors) {
+        const data = state.color.image.data;
+        for (let i = 0; i < this.count; i++) {
+            data[i * 4] = colors[i * 3];
+            data[i * 4 + 1] = colors[i * 3 + 1];
+            data[i * 4 + 2] = colors[i * 3 + 2];
+        }
+        state.color.needsUpdate = true;
+    }
+
+    /**
+     * Per-particle uv of its texel, for the `aStateUv` attribute
+     * @returns {Float32Array}
+     */
+    createStateUvs() {
+        const uvs = new Float32Array(this.count * 2);
+        for (let i = 0; i < this.count; i++) {
+            uvs[i * 2] = ((i % this.size) + 0.5) / this.size;
+            uvs[i * 2 + 1] = (Math.floor(i / this.size) + 0.5) / this.size;
+        }
+        return uvs;
+    }
+
+    // --- SLOTS ---
+    setSource(state) {
+        this.uniforms.tSourcePosition.value = state.position;
+        this.uniforms.tSourceColor.value = state.color;
+    }
+
+    setTarget(state) {
+        this.uniforms.tTargetPosition.value = state.position;
+        this.uniforms.tTargetColor.value = state.color;
+    }
+
+    // --- CAPTURE ---
+    initCapturePass() {
+        const randomData = new Float32Array(this.size * this.size * 4);
+        for (let i = 0; i < this.count; i++) randomData[i * 4] = this.randoms[i];
+        this.randomTexture = this.createTexture(randomData);
+
+        const options = {
+            type: THREE.FloatType,
+            format: THREE.RGBAFormat,
+            minFilter: THREE.NearestFilter,
+            magFilter: THREE.NearestFilter,
+            depthBuffer: false,
+            generateMipmaps: false
+        };
+
+        // Three per kind: source and target may both be captures, the third is always free
+        this.renderTargets = {
+            position: [0, 1, 2].map(() => new THREE.WebGLRenderTarget(this.size, this.size, options)),
+            color: [0, 1, 2].map(() => new THREE.WebGLRenderTarget(this.size, this.size, options))
+        };
+
+        this.captureMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                tSource: { value: null },
+                tTarget: { value: null },
+                tRandom: { value: this.randomTexture },
+                tTargetRank: { value: null },
+                uTransition: { value: 0.0 },
+                uStagger: { value: 0.0 },
+                uScatter: { value: 0.0 },
+                uSwirl: { value: 0.0 },
+                uDisplace: { value: 0.0 }
+            },
+            vertexShader: captureVertexShader,
+            fragmentShader: captureFragmentShader,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        this.captureScene = new THREE.Scene();
+        this.captureCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.captureMaterial);
+        quad.frustumCulled = false;
+        this.captureScene.add(quad);
+    }
+
+    freeRenderTarget(kind) {
+        const inUse = Object.values(this.uniforms).map(uniform => uniform.value);
+        return this.renderTargets[kind].find(target => !inUse.includes(target.texture));
+    }
+
+    /**
+     * Resolves the visible state (mix(source, target, arrival) + choreography, no turbulence)
+     * into the `into` slot
+     * @param {'source'|'target'} into
+     * @param {{transition: number, scatter: number, swirl: number, stagger?: number}} params
+     */
+    capture(into, { transition, scatter, swirl, stagger = 0 }) {
+        const kinds = [
+            ['position', this.uniforms.tSourcePosition.value, this.uniforms.tTargetPosition.value, true],
+            ['color', this.uniforms.tSourceColor.value, this.uniforms.tTargetColor.value, false]
+        ];
+        const result = {};
+
+        if (this.gpu) {
+            const uniforms = this.captureMaterial.uniforms;
+            uniforms.uTransition.value = transition;
+            uniforms.uScatter.value = scatter;
+            uniforms.uSwirl.value = swirl;
+            uniforms.uStagger.value = stagger;
+            uniforms.tTargetRank.value = this.uniforms.tTargetColor.value;
+
+            const previousTarget = this.renderer.getRenderTarget();
+            kinds.forEach(([kind, source, target, displace]) => {
+                const renderTarget = this.freeRenderTarget(kind);
+                uniforms.tSource.value = source;
+                uniforms.tTarget.value = target;
+                uniforms.uDisplace.value = displace ? 1.0 : 0.0;
+
+                this.renderer.setRenderTarget(renderTarget);
+                this.renderer.render(this.captureScene, this.captureCamera);
+                result[kind] = renderTarget.texture;
+            });
+            this.renderer.setRenderTarget(previousTarget);
+        } else {
+            const scratch = this.scratch[into];
+            kinds.forEach(([kind, source, target, displace]) => {
+                const out = scratch[kind].image.data;
+                const a = source.image.data;
+                const b = target.image.data;
+                const ranks = this.uniforms.tTargetColor.value.image.data;
+
+                for (let i = 0; i < out.length; i++) {
+                    const t = arrivalProgress(transition, ranks[(i & ~3) + 3], stagger);
+                    out[i] = a[i] * (1 - t) + b[i] * t;
+                }
+                if (displace && (scatter !== 0 || swirl !== 0)) {
+                    for (let i = 0; i < this.count; i++) {
+                        applyChoreography(out, i * 4, this.randoms[i], scatter, swirl);
+                    }
+                }
+
+                scratch[kind].needsUpdate = true;
+                result[kind] = scratch[kind];
+            });
+        }
+
+        if (into === 'source') this.setSource(result);
+        else this.setTarget(result);
+    }
+
+    /**
+     * After a WebGL context restore: the data textures owned by the state upload again from their
+     * CPU copy, while captured render targets lost their content, so both slots are reassigned
+     * (states made with createState are the caller's to re-upload)
+     * @param {Object} source - State for the source slot (e.g. base)
+     * @param {Object} target - State for the target slot
+     */
+    restore(source, target) {
+        [this.base, this.scratch?.source, this.scratch?.target].filter(Boolean).forEach(state => {
+            state.position.needsUpdate = true;
+            state.color.needsUpdate = true;
+        });
+        if (this.gpu) this.randomTexture.needsUpdate = true;
+
+        this.setSource(source);
+        this.setTarget(target);
+    }
+
+    /**
+     * Frees the textures and targets owned by the state (states made with createState are the caller's)
+     */
+    dispose() {
+        [this.base, this.scratch?.source, this.scratch?.target].filter(Boolean).forEach(state => {
+            state.position.dispose();
+            state.color.dispose();
+        });
+
+        if (this.gpu) {
+            this.randomTexture.dispose();
+            this.renderTargets.position.forEach(target => target.dispose());
+            this.renderTargets.color.forEach(target => target.dispose());
+            this.captureMaterial.dispose();
+            this.captureScene.children[0].geometry.dispose();
+        }
+    }
+}
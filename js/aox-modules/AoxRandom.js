@@ -0,0 +1,51 @@
+/**
+ * AoxRandom Module
+ * Seeded PRNG for AOX bakes: the same seed gives the same bake in the browser baker and in Node.
+ * Three-free, drop-in for Math.random (floats in [0, 1)).
+ */
+
+/**
+ * mulberry32: 32-bit state, fast and good enough for surface sampling
+ * @param {number} seed - Unsigned 32-bit integer
+ * @returns {Function} Returns floats in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Fresh seed for bakes started without one (recorded so they can be reproduced)
+ * @returns {number}
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Normalizes a user-supplied seed: integers are used as-is (mod 2^32),
+ * any other text is hashed (FNV-1a) so "brand-v2" works as a seed too
+ * @param {string|number|null|undefined} value
+ * @returns {number|null} null when empty
+ */
+export function parseSeed(value) {
+    if (value === null || value === undefined) return null;
+
+    const text = String(value).trim();
+    if (text === '') return null;
+    if (/^\d+$/.test(text)) return Number(BigInt(text) % 4294967296n);
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
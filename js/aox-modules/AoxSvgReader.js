@@ -0,0 +1,531 @@
+/**
+ * AoxSvgReader Module
+ * Reads the filled shapes of an SVG file into outline shapes for AoxExtrude (logos, wordmarks).
+ * Plain-text parsing, no DOM: the same code runs in the baker worker and in Node.
+ *
+ * Supported: <path> (all commands, arcs included), <rect> (no rounded corners), <circle>, <ellipse>,
+ * <polygon>, <polyline>; `transform` on elements and groups; fill from attributes, inline `style`
+ * and simple class rules of a <style> block (.name { fill: ... }).
+ * Skipped with a warning: <use>, <text>, <image>, shapes with fill="none", and full-canvas
+ * backgrounds (a shape covering the whole viewBox, as Illustrator exports them).
+ * Content of <defs>, <clipPath>, <mask>, <symbol>, <pattern> and gradients is ignored.
+ *
+ * Output coordinates are SVG user units with y flipped up (the bake normalizes scale anyway).
+ */
+
+// Flattening tolerance, as a fraction of the drawing size
+const TOLERANCE = 0.0005;
+const MAX_CURVE_SEGMENTS = 64;
+
+const SHAPE_TAGS = ['path', 'rect', 'circle', 'ellipse', 'polygon', 'polyline'];
+const SKIPPED_TAGS = ['defs', 'clipPath', 'mask', 'symbol', 'pattern', 'linearGradient', 'radialGradient', 'marker', 'style', 'title', 'desc', 'metadata'];
+const UNSUPPORTED_TAGS = ['use', 'text', 'image'];
+
+const NAMED_COLORS = {
+    black: '#000000', white: '#ffffff', red: '#ff0000', green: '#008000', blue: '#0000ff',
+    yellow: '#ffff00', gray: '#808080', grey: '#808080', orange: '#ffa500', purple: '#800080'
+};
+
+// --- MARKUP ---
+function parseAttributes(text) {
+    const attributes = {};
+    const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = pattern.exec(text))) attributes[match[1]] = match[2] ?? match[3];
+    return attributes;
+}
+
+// "a: b; c: d" -> { a: 'b', c: 'd' }
+function parseDeclarations(text) {
+    const declarations = {};
+    text.split(';').forEach(part => {
+        const colon = part.indexOf(':');
+        if (colon > 0) declarations[part.slice(0, colon).trim()] = part.slice(colon + 1).trim();
+    });
+    return declarations;
+}
+
+// Only `.class { ... }` rules (comma lists allowed): enough for Illustrator / Figma exports
+function parseStyleSheet(css) {
+    const rules = {};
+    const pattern = /([^{}]+)\{([^}]*)\}/g;
+    let match;
+    while ((match = pattern.exec(css))) {
+        const declarations = parseDeclarations(match[2]);
+        match[1].split(',').map(s => s.trim()).forEach(selector => {
+            if (/^\.[\w-]+$/.test(selector)) rules[selector.slice(1)] = { ...rules[selector.slice(1)], ...declarations };
+        });
+    }
+    return rules;
+}
+
+function srgbToLinear(c) {
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * SVG paint to linear rgb
+ * @param {string|undefined} value
+ * @returns {Array<number>|null|undefined} undefined = not set / not understood (inherit), null = none
+ */
+function parsePaint(value) {
+    if (value === undefined) return undefined;
+    const text = value.trim().toLowerCase();
+    if (text === 'none' || text === 'transparent') return null;
+
+    let hex = NAMED_COLORS[text] || text;
+    let rgb;
+    if (/^#[0-9a-f]{3}$/.test(hex)) hex = '#' + hex.slice(1).split('').map(c => c + c).join('');
+    if (/^#[0-9a-f]{6}$/.test(hex)) {
+        rgb = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+    } else {
+        const match = text.match(/^rgba?\(([^)]*)\)$/);
+        if (!match) return undefined;
+        rgb = match[1].split(/[\s,]+/).slice(0, 3).map(v => v.endsWith('%') ? parseFloat(v) / 100 : parseFloat(v) / 255);
+        if (rgb.length < 3 || !rgb.every(Number.isFinite)) return undefined;
+    }
+    return rgb.map(srgbToLinear);
+}
+
+// --- TRANSFORMS (affine [a, b, c, d, e, f], as SVG matrix()) ---
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+function multiply(m, n) {
+    return [
+        m[0] * n[0] + m[2] * n[1],
+        m[1] * n[0] + m[3] * n[1],
+        m[0] * n[2] + m[2] * n[3],
+        m[1] * n[2] + m[3] * n[3],
+        m[0] * n[4] + m[2] * n[5] + m[4],
+        m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+}
+
+function parseTransform(text) {
+    let result = IDENTITY;
+    if (!text) return result;
+
+    const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+        const v = match[2].split(/[\s,]+/).filter(Boolean).map(Number);
+        const rad = (v[0] || 0) * Math.PI / 180;
+        let m;
+
+        switch (match[1]) {
+            case 'matrix': m = v.length === 6 ? v : IDENTITY; break;
+            case 'translate': m = [1, 0, 0, 1, v[0] || 0, v[1] || 0]; break;
+            case 'scale': m = [v[0] ?? 1, 0, 0, v[1] ?? v[0] ?? 1, 0, 0]; break;
+            case 'skewX': m = [1, 0, Math.tan(rad), 1, 0, 0]; break;
+            case 'skewY': m = [1, Math.tan(rad), 0, 1, 0, 0]; break;
+            case 'rotate': {
+                const [cx = 0, cy = 0] = v.slice(1);
+                const cos = Math.cos(rad), sin = Math.sin(rad);
+                m = multiply(multiply([1, 0, 0, 1, cx, cy], [cos, sin, -sin, cos, 0, 0]), [1, 0, 0, 1, -cx, -cy]);
+                break;
+            }
+        }
+        result = multiply(result, m);
+    }
+    return result;
+}
+
+// --- PATH DATA ---
+
+// Cursor over path data: numbers may be glued ("1-2.5.5"), arc flags may be packed ("011")
+function createScanner(d) {
+    let pos = 0;
+    const skip = () => { while (pos < d.length && /[\s,]/.test(d[pos])) pos++; };
+
+    return {
+        done() { skip(); return pos >= d.length; },
+        peekCommand() { skip(); return /[MmLlHhVvCcSsQqTtAaZz]/.test(d[pos]) ? d[pos] : null; },
+        command() { skip(); return d[pos++]; },
+        number() {
+            skip();
+            const match = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/.exec(d.slice(pos, pos + 64));
+            if (!match) throw new Error(`[AoxSvgReader] Bad path data near "${d.slice(pos, pos + 16)}"`);
+            pos += match[0].length;
+            return parseFloat(match[0]);
+        },
+        flag() {
+            skip();
+            const c = d[pos++];
+            if (c !== '0' && c !== '1') throw new Error(`[AoxSvgReader] Bad arc flag near "${d.slice(pos - 1, pos + 16)}"`);
+            return c === '1';
+        }
+    };
+}
+
+/**
+ * Path data to subpaths of absolute segments
+ * Segment: ['L', x, y] | ['Q', x1, y1, x, y] | ['C', x1, y1, x2, y2, x, y] | ['A', rx, ry, angle, large, sweep, x, y]
+ * @returns {Array<{start: number[], segments: Array}>}
+ */
+function parsePathData(d) {
+    const scanner = createScanner(d);
+    const subpaths = [];
+    let current = null;
+    let x = 0, y = 0, startX = 0, startY = 0;
+    let lastControl = null;   // Reflected by S / T
+    let lastType = null;
+    let command = null;
+
+    const moveTo = (nx, ny) => {
+        x = startX = nx;
+        y = startY = ny;
+        current = { start: [x, y], segments: [] };
+        subpaths.push(current);
+    };
+    const ensureSubpath = () => { if (!current) moveTo(x, y); };
+
+    while (!scanner.done()) {
+        const next = scanner.peekCommand();
+        if (next) command = scanner.command();
+        else if (!command) throw new Error('[AoxSvgReader] Path data must start with a command');
+
+        const relative = command === command.toLowerCase();
+        const dx = relative ? x : 0, dy = relative ? y : 0;
+        const type = command.toUpperCase();
+
+        switch (type) {
+            case 'M':
+                moveTo(scanner.number() + dx, scanner.number() + dy);
+                command = relative ? 'l' : 'L';   // Extra pairs are implicit line-tos
+                lastControl = null;
+                break;
+            case 'Z':
+                if (current) current.segments.push(['L', startX, startY]);
+                x = startX;
+                y = startY;
+                current = null;
+                lastControl = null;
+                command = null;
+                break;
+            case 'L':
+            case 'H':
+            case 'V': {
+                ensureSubpath();
+                const nx = type === 'V' ? x : scanner.number() + dx;
+                const ny = type === 'H' ? y : scanner.number() + dy;
+                current.segments.push(['L', nx, ny]);
+                x = nx;
+                y = ny;
+                lastControl = null;
+                break;
+            }
+            case 'C':
+            case 'S': {
+                ensureSubpath();
+                let x1, y1;
+                if (type === 'S') {
+                    [x1, y1] = lastType === 'C' && lastControl ? [2 * x - lastControl[0], 2 * y - lastControl[1]] : [x, y];
+                } else {
+                    x1 = scanner.number() + dx;
+                    y1 = scanner.number() + dy;
+                }
+                const x2 = scanner.number() + dx, y2 = scanner.number() + dy;
+                const nx = scanner.number() + dx, ny = scanner.number() + dy;
+                current.segments.push(['C', x1, y1, x2, y2, nx, ny]);
+                lastControl = [x2, y2];
+                x = nx;
+                y = ny;
+                break;
+            }
+            case 'Q':
+            case 'T': {
+                ensureSubpath();
+                let x1, y1;
+                if (type === 'T') {
+                    [x1, y1] = lastType === 'Q' && lastControl ? [2 * x - lastControl[0], 2 * y - lastControl[1]] : [x, y];
+                } else {
+                    x1 = scanner.number() + dx;
+                    y1 = scanner.number() + dy;
+                }
+                const nx = scanner.number() + dx, ny = scanner.number() + dy;
+                current.segments.push(['Q', x1, y1, nx, ny]);
+                lastControl = [x1, y1];
+                x = nx;
+                y = ny;
+                break;
+            }
+            case 'A': {
+                ensureSubpath();
+                const rx = scanner.number(), ry = scanner.number(), angle = scanner.number();
+                const large = scanner.flag(), sweep = scanner.flag();
+                const nx = scanner.number() + dx, ny = scanner.number() + dy;
+                current.segments.push(['A', rx, ry, angle, large, sweep, nx, ny]);
+                x = nx;
+                y = ny;
+                lastControl = null;
+                break;
+            }
+            default:
+                throw new Error(`[AoxSvgReader] Unknown path command "${command}"`);
+        }
+        lastType = type === 'S' ? 'C' : type === 'T' ? 'Q' : type;
+    }
+
+    return subpaths;
+}
+
+function segmentCount(length, tolerance) {
+    return Math.max(2, Math.min(MAX_CURVE_SEGMENTS, Math.ceil(Math.sqrt(length / tolerance))));
+}
+
+// Endpoint to center parameterization (SVG spec, implementation notes F.6.5)
+function flattenArc(out, x0, y0, [, rx, ry, angle, large, sweep, x, y], tolerance) {
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0) {
+        out.push(x, y);
+        return;
+    }
+
+    const phi = angle * Math.PI / 180;
+    const cos = Math.cos(phi), sin = Math.sin(phi);
+    const hx = (x0 - x) / 2, hy = (y0 - y) / 2;
+    const x1 = cos * hx + sin * hy;
+    const y1 = -sin * hx + cos * hy;
+
+    const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const num = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+    const den = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+    const k = (large === sweep ? -1 : 1) * Math.sqrt(Math.max(0, num / den));
+    const cx1 = (k * rx * y1) / ry;
+    const cy1 = (-k * ry * x1) / rx;
+    const cx = cos * cx1 - sin * cy1 + (x0 + x) / 2;
+    const cy = sin * cx1 + cos * cy1 + (y0 + y) / 2;
+
+    const vectorAngle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const theta = vectorAngle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+    let delta = vectorAngle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    const n = segmentCount(Math.abs(delta) * Math.max(rx, ry), tolerance);
+    for (let i = 1; i <= n; i++) {
+        const t = theta + (delta * i) / n;
+        const ex = rx * Math.cos(t), ey = ry * Math.sin(t);
+        out.push(cos * ex - sin * ey + cx, sin * ex + cos * ey + cy);
+    }
+}
+
+function flattenSubpath({ start, segments }, tolerance) {
+    const out = [start[0], start[1]];
+
+    segments.forEach(segment => {
+        const x0 = out[out.length - 2], y0 = out[out.length - 1];
+
+        if (segment[0] === 'L') {
+            out.push(segment[1], segment[2]);
+        } else if (segment[0] === 'Q') {
+            const [, x1, y1, x, y] = segment;
+            const n = segmentCount(Math.hypot(x1 - x0, y1 - y0) + Math.hypot(x - x1, y - y1), tolerance);
+            for (let i = 1; i <= n; i++) {
+                const t = i / n, u = 1 - t;
+                out.push(u * u * x0 + 2 * u * t * x1 + t * t * x, u * u * y0 + 2 * u * t * y1 + t * t * y);
+            }
+        } else if (segment[0] === 'C') {
+            const [, x1, y1, x2, y2, x, y] = segment;
+            const length = Math.hypot(x1 - x0, y1 - y0) + Math.hypot(x2 - x1, y2 - y1) + Math.hypot(x - x2, y - y2);
+            const n = segmentCount(length, tolerance);
+            for (let i = 1; i <= n; i++) {
+                const t = i / n, u = 1 - t;
+                const a = u * u * u, b = 3 * u * u * t, c = 3 * u * t * t, e = t * t * t;
+                out.push(a * x0 + b * x1 + c * x2 + e * x, a * y0 + b * y1 + c * y2 + e * y);
+            }
+        } else {
+            flattenArc(out, x0, y0, segment, tolerance);
+        }
+    });
+
+    return out;
+}
+
+function ellipsePath(cx, cy, rx, ry) {
+    return `M${cx - rx},${cy} A${rx},${ry} 0 1 0 ${cx + rx},${cy} A${rx},${ry} 0 1 0 ${cx - rx},${cy} Z`;
+}
+
+// Every supported shape goes through path data, so flattening has a single code path
+function shapeToPathData(tag, a) {
+    const n = (name) => parseFloat(a[name]) || 0;
+    switch (tag) {
+        case 'path': return a.d || '';
+        case 'rect': {
+            const x = n('x'), y = n('y'), w = n('width'), h = n('height');
+            return w > 0 && h > 0 ? `M${x},${y} H${x + w} V${y + h} H${x} Z` : '';
+        }
+        case 'circle': return n('r') > 0 ? ellipsePath(n('cx'), n('cy'), n('r'), n('r')) : '';
+        case 'ellipse': return n('rx') > 0 && n('ry') > 0 ? ellipsePath(n('cx'), n('cy'), n('rx'), n('ry')) : '';
+        case 'polygon':
+        case 'polyline': {
+            const v = (a.points || '').trim().split(/[\s,]+/).filter(Boolean);
+            return v.length >= 6 ? `M${v.slice(0, 2).join(',')} L${v.slice(2).join(' ')} Z` : '';
+        }
+    }
+    return '';
+}
+
+function parseViewBox(attributes) {
+    const v = (attributes.viewBox || '').split(/[\s,]+/).filter(Boolean).map(Number);
+    if (v.length === 4 && v.every(Number.isFinite) && v[2] > 0 && v[3] > 0) return v;
+
+    const width = parseFloat(attributes.width), height = parseFloat(attributes.height);
+    return width > 0 && height > 0 ? [0, 0, width, height] : null;
+}
+
+/**
+ * Reads the filled shapes of an SVG document
+ * @param {string} text - SVG markup
+ * @param {Object} [options]
+ * @param {string} [options.name='svg'] - Prefix of the shape names
+ * @returns {{shapes: Array<{name: string, color: number[]|null, contours: Array<Array<number>>}>, warnings: Array<string>}}
+ *   One shape per element, color null when the fill is the SVG default (black, baked as white)
+ */
+export function parseSvgOutlines(text, { name = 'svg' } = {}) {
+    const markup = text.replace(/<!--[\s\S]*?-->/g, '').replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+
+    const classes = {};
+    const stylePattern = /<style[^>]*>([\s\S]*?)<\/style>/g;
+    let styleMatch;
+    while ((styleMatch = stylePattern.exec(markup))) Object.assign(classes, parseStyleSheet(styleMatch[1]));
+
+    const warnings = [];
+    const elements = [];
+    const unsupported = new Set();
+    let viewBox = null;
+    let skipDepth = 0;
+
+    // Inherited state: transform + fill per open element
+    const stack = [{ matrix: IDENTITY, fill: undefined }];
+
+    const tagPattern = /<\s*(\/?)\s*([a-zA-Z][\w:-]*)([^>]*?)(\/?)\s*>/g;
+    let match;
+    while ((match = tagPattern.exec(markup))) {
+        const [, closing, rawTag, rest, selfClosing] = match;
+        const tag = rawTag.includes(':') ? rawTag.split(':').pop() : rawTag;
+
+        if (closing) {
+            if (skipDepth > 0) skipDepth--;
+            else if (stack.length > 1) stack.pop();
+            continue;
+        }
+        if (skipDepth > 0 || SKIPPED_TAGS.includes(tag)) {
+            if (!selfClosing) skipDepth++;
+            continue;
+        }
+
+        const attributes = parseAttributes(rest);
+        // CSS precedence: presentation attributes < class rules < inline style
+        const style = {
+            ...(attributes.fill !== undefined && { fill: attributes.fill }),
+            ...(attributes.display !== undefined && { display: attributes.display }),
+            ...Object.assign({}, ...(attributes.class || '').split(/\s+/).filter(Boolean).map(c => classes[c] || {})),
+            ...parseDeclarations(attributes.style || '')
+        };
+
+        const parent = stack[stack.length - 1];
+        const fill = parsePaint(style.fill);
+        const current = {
+            matrix: multiply(parent.matrix, parseTransform(attributes.transform)),
+            fill: fill === undefined ? parent.fill : fill,
+            hidden: parent.hidden || style.display === 'none'
+        };
+
+        if (tag === 'svg' && !viewBox) viewBox = parseViewBox(attributes);
+        if (UNSUPPORTED_TAGS.includes(tag)) unsupported.add(`<${tag}>`);
+        if (SHAPE_TAGS.includes(tag) && !current.hidden) {
+            if (tag === 'rect' && (parseFloat(attributes.rx) > 0 || parseFloat(attributes.ry) > 0)) {
+                warnings.push('Rounded <rect> corners are baked square');
+            }
+            elements.push({ tag, attributes, matrix: current.matrix, fill: current.fill, id: attributes.id });
+        }
+
+        if (!selfClosing) stack.push(current);
+    }
+
+    unsupported.forEach(tag => warnings.push(`${tag} elements are not supported, skipped`));
+
+    // Parse everything first: the flattening tolerance depends on the drawing size
+    const parsed = [];
+    elements.forEach((element, i) => {
+        if (element.fill === null) return;   // fill="none": stroke-only art has no area to bake
+        try {
+            const subpaths = parsePathData(shapeToPathData(element.tag, element.attributes));
+            if (subpaths.length > 0) parsed.push({ ...element, index: i, subpaths });
+        } catch (err) {
+            warnings.push(`Skipped <${element.tag}> #${i} (${err.message})`);
+        }
+    });
+
+    const size = viewBox ? Math.max(viewBox[2], viewBox[3]) : boundsSize(parsed);
+    const tolerance = Math.max(size, 1e-6) * TOLERANCE;
+
+    const shapes = [];
+    let dark = 0;
+    parsed.forEach(element => {
+        const [a, b, c, d, e, f] = element.matrix;
+        const scale = Math.sqrt(Math.abs(a * d - b * c)) || 1;
+
+        const contours = element.subpaths.map(subpath => {
+            const points = flattenSubpath(subpath, tolerance / scale);
+            for (let k = 0; k < points.length; k += 2) {
+                const x = points[k], y = points[k + 1];
+                points[k] = a * x + c * y + e;
+                points[k + 1] = -(b * x + d * y + f);   // y up
+            }
+            return points;
+        });
+
+        if (viewBox && isBackground(contours, viewBox)) {
+            warnings.push(`Skipped full-canvas <${element.tag}> (background)`);
+            return;
+        }
+
+        // Additive particles: a (near) black fill is invisible on the site
+        const fill = element.fill;
+        if (fill && 0.2126 * fill[0] + 0.7152 * fill[1] + 0.0722 * fill[2] < 0.02) dark++;
+
+        shapes.push({
+            name: `${name}/${element.id || `${element.tag}${element.index}`}`,
+            color: element.fill || null,
+            contours
+        });
+    });
+
+    if (shapes.length === 0) warnings.push('No filled shapes found');
+    if (dark > 0) warnings.push(`${dark} shape(s) with a near-black fill, bake without the COLOR channel (manifest tint)`);
+    return { shapes, warnings };
+}
+
+function boundsSize(parsed) {
+    let min = [Infinity, Infinity], max = [-Infinity, -Infinity];
+    parsed.forEach(({ subpaths }) => subpaths.forEach(({ start, segments }) => {
+        [start, ...segments.map(s => s.slice(-2))].forEach(([x, y]) => {
+            min = [Math.min(min[0], x), Math.min(min[1], y)];
+            max = [Math.max(max[0], x), Math.max(max[1], y)];
+        });
+    }));
+    return Math.max(max[0] - min[0], max[1] - min[1]) || 1;
+}
+
+// A single rectangle-like contour spanning the whole viewBox (±0.5%)
+function isBackground(contours, [vx, vy, vw, vh]) {
+    if (contours.length !== 1) return false;
+    const c = contours[0];
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (let i = 0; i < c.length; i += 2) {
+        minX = Math.min(minX, c[i]); maxX = Math.max(maxX, c[i]);
+        minY = Math.min(minY, c[i + 1]); maxY = Math.max(maxY, c[i + 1]);
+    }
+    const near = (p, q, size) => Math.abs(p - q) <= size * 0.005;
+    return c.length <= 10 &&
+        near(minX, vx, vw) && near(maxX, vx + vw, vw) &&
+        near(-maxY, vy, vh) && near(-minY, vy + vh, vh);
+}
@@ -0,0 +1,244 @@
+import { QUALITY_LEVELS } from './quality-governor.js';
+
+/**
+ * Device Profile
+ * What this device can afford, measured instead of guessed from the window width
+ * (a large iPad is not a desktop GPU, a narrow desktop window still has one). Width stays a layout concern.
+ *
+ * Inputs: the limits of a throwaway WebGL context, navigator.hardwareConcurrency,
+ * navigator.deviceMemory, the primary pointer and a short GPU micro-benchmark (a fill-rate bound
+ * shader drawn a few times into a small framebuffer). They combine into a tier, one of
+ * QUALITY_LEVELS (main.js uses it as the QualityGovernor ceiling), and into the feature flags
+ * the scenes check before building.
+ *
+ * The GPU part (probe + benchmark, a few ms of blocked main thread) runs once per tab and is kept
+ * in sessionStorage (a failed probe is not: it is retried on the next load); pointer, cores and
+ * memory are re-read on every get() (a tablet can gain a mouse).
+ */
+
+const STORAGE_KEY = 'vltDeviceProfile';
+const BENCHMARK_SIZE = 256;     // Framebuffer side in px
+const BENCHMARK_DRAWS = 24;     // Full-screen draws timed after a warm-up draw
+const BENCHMARK_TIERS = [       // Total benchmark time -> tier (slower than the last entry: low)
+    { maxMs: 4, tier: 'ultra' },
+    { maxMs: 10, tier: 'high' },
+    { maxMs: 25, tier: 'medium' }
+];
+const UNMEASURED_TIER = 'high'; // Benchmark impossible: start high, the governor steps down if needed
+const MIN_TEXTURE_SIZE = 4096;  // Below this the GPU is too old for the scenes' textures
+
+const BENCHMARK_VERTEX = `
+    attribute vec2 position;
+    void main() {
+        gl_Position = vec4(position, 0.0, 1.0);
+    }
+`;
+
+// ALU-bound on purpose (no textures): measures shading throughput, not bandwidth
+const BENCHMARK_FRAGMENT = `
+    precision highp float;
+    uniform float uSeed;
+    void main() {
+        vec2 p = gl_FragCoord.xy * 0.01 + uSeed;
+        float v = 0.0;
+        for (int i = 0; i < 64; i++) {
+            p = vec2(sin(p.x * 1.3 + p.y), cos(p.y * 1.7 - p.x)) + v;
+            v += p.x * p.y * 0.01;
+        }
+        gl_FragColor = vec4(fract(v), p, 1.0);
+    }
+`;
+
+let gpuProfile;   // undefined -> not measured yet, null -> no WebGL
+
+// --- GPU PROBE ---
+
+function createProbeContext() {
+    // failIfMajorPerformanceCaveat: a software rasterizer (SwiftShader, llvmpipe) refuses the first attempt
+    for (const caveat of [true, false]) {
+        for (const type of ['webgl2', 'webgl']) {
+            const canvas = document.createElement('canvas');
+            canvas.width = canvas.height = BENCHMARK_SIZE;
+            const gl = canvas.getContext(type, {
+                failIfMajorPerformanceCaveat: caveat,
+                antialias: false,
+                depth: false,
+                preserveDrawingBuffer: false
+            });
+            if (gl) return { gl, webgl2: type === 'webgl2', software: !caveat };
+        }
+    }
+    return null;
+}
+
+function readLimits(gl, webgl2) {
+    const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+    return {
+        webgl2,
+        renderer: gl.getParameter(debugInfo ? debugInfo.UNMASKED_RENDERER_WEBGL : gl.RENDERER) || '',
+        maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
+        maxVertexTextures: gl.getParameter(gl.MAX_VERTEX_TEXTURE_IMAGE_UNITS),
+        maxSamples: webgl2 ? gl.getParameter(gl.MAX_SAMPLES) : 0,
+        floatTextures: webgl2 || gl.getExtension('OES_texture_float') !== null,
+        floatRenderTargets: webgl2 && gl.getExtension('EXT_color_buffer_float') !== null
+    };
+}
+
+function compileProgram(gl) {
+    const program = gl.createProgram();
+    [[gl.VERTEX_SHADER, BENCHMARK_VERTEX], [gl.FRAGMENT_SHADER, BENCHMARK_FRAGMENT]].forEach(([type, source]) => {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        gl.attachShader(program, shader);
+    });
+    gl.linkProgram(program);
+    return gl.getProgramParameter(program, gl.LINK_STATUS) ? program : null;
+}
+
+/**
+ * Times BENCHMARK_DRAWS full-screen draws; readPixels waits for the GPU to finish them
+ * @returns {number|null} Milliseconds, null when the shader could not be built
+ */
+function runBenchmark(gl) {
+    const program = compileProgram(gl);
+    if (!program) return null;
+
+    gl.useProgram(program);
+    gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), gl.STATIC_DRAW);
+    const position = gl.getAttribLocation(program, 'position');
+    gl.enableVertexAttribArray(position);
+    gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+    const seed = gl.getUniformLocation(program, 'uSeed');
+    gl.viewport(0, 0, BENCHMARK_SIZE, BENCHMARK_SIZE);
+
+    const pixel = new Uint8Array(4);
+    const draw = (i) => {
+        gl.uniform1f(seed, i);
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+    };
+
+    // Warm-up: shader compilation and driver setup stay out of the measure
+    draw(0);
+    gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+
+    const start = performance.now();
+    for (let i = 1; i <= BENCHMARK_DRAWS; i++) draw(i);
+    gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+    return performance.now() - start;
+}
+
+function measureGpu() {
+    const probe = createProbeContext();
+    if (!probe) return null;
+
+    const { gl, webgl2, software } = probe;
+    const profile = { ...readLimits(gl, webgl2), software, benchmarkMs: null };
+    try {
+        profile.benchmarkMs = runBenchmark(gl);
+    } catch (error) {
+        console.warn('[DeviceProfile] GPU benchmark failed:', error);
+    }
+
+    // Il contesto di prova va liberato subito: il renderer condiviso ne apre uno suo
+    const loseContext = gl.getExtension('WEBGL_lose_context');
+    if (loseContext) loseContext.loseContext();
+    return profile;
+}
+
+function readStoredGpu() {
+    try {
+        const stored = sessionStorage.getItem(STORAGE_KEY);
+        return stored === null ? undefined : JSON.parse(stored) ?? undefined;
+    } catch (error) {
+        return undefined;
+    }
+}
+
+function storeGpu(profile) {
+    try {
+        sessionStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+    } catch (error) {
+        // Storage disabled (private mode): measured again on the next load
+    }
+}
+
+function getGpu() {
+    if (gpuProfile !== undefined) return gpuProfile;
+
+    gpuProfile = readStoredGpu();
+    if (gpuProfile === undefined) {
+        gpuProfile = measureGpu();
+        if (gpuProfile) {
+            storeGpu(gpuProfile);
+            const time = gpuProfile.benchmarkMs !== null ? `${gpuProfile.benchmarkMs.toFixed(1)}ms` : 'n/a';
+            console.log(`[DeviceProfile] ${gpuProfile.renderer || 'unknown GPU'}, benchmark ${time}`);
+        } else {
+            console.warn('[DeviceProfile] WebGL not available');
+        }
+    }
+    return gpuProfile;
+}
+
+// --- TIER ---
+
+function getPointer() {
+    if (window.matchMedia('(pointer: fine)').matches) return 'fine';
+    if (window.matchMedia('(pointer: coarse)').matches) return 'coarse';
+    return 'none';
+}
+
+// Ogni vincolo abbassa il tetto, nessuno lo alza: vince il più severo
+function computeTier(gpu, cores, memory) {
+    if (!gpu) return null;
+
+    let tier = UNMEASURED_TIER;
+    if (gpu.benchmarkMs !== null) {
+        const match = BENCHMARK_TIERS.find(entry => gpu.benchmarkMs <= entry.maxMs);
+        tier = match ? match.tier : 'low';
+    }
+
+    const caps = [];
+    if (gpu.software || gpu.maxTextureSize < MIN_TEXTURE_SIZE) caps.push('low');
+    if (memory !== null) caps.push(memory <= 1 ? 'low' : memory <= 2 ? 'medium' : memory <= 4 ? 'high' : 'ultra');
+    if (cores !== null) caps.push(cores <= 2 ? 'medium' : cores <= 4 ? 'high' : 'ultra');
+
+    const index = Math.min(QUALITY_LEVELS.indexOf(tier), ...caps.map(cap => QUALITY_LEVELS.indexOf(cap)));
+    return QUALITY_LEVELS[index];
+}
+
+/**
+ * The device profile (GPU measured once, the rest read live)
+ * @returns {{tier: string|null, gpu: Object|null, cores: number|null, memory: number|null, pointer: string,
+ *   features: {webgl: boolean, aox: boolean, showcase: boolean, orbitControls: boolean}}}
+ */
+function get() {
+    const gpu = getGpu();
+    const cores = navigator.hardwareConcurrency || null;
+    const memory = navigator.deviceMemory || null;   // GB, Chromium only
+    const pointer = getPointer();
+    const tier = computeTier(gpu, cores, memory);
+    const tierIndex = tier === null ? -1 : QUALITY_LEVELS.indexOf(tier);
+
+    return {
+        tier,
+        gpu,
+        cores,
+        memory,
+        pointer,
+        features: {
+            webgl: gpu !== null,
+            // 50k particles morphing through float textures read in the vertex shader (WebGL1: CPU capture)
+            aox: tierIndex >= QUALITY_LEVELS.indexOf('medium') && (gpu.webgl2 || gpu.floatTextures) && gpu.maxVertexTextures > 0,
+            // Shadows, bloom, outlines and video textures: the heaviest scene of the page
+            showcase: tierIndex >= QUALITY_LEVELS.indexOf('high'),
+            // Dragging the hero only with a precise pointer: on touch it would steal the page scroll
+            orbitControls: pointer === 'fine'
+        }
+    };
+}
+
+const DeviceProfile = { get };
+
+export default DeviceProfile;
@@ -1,8 +1,15 @@
-import { initAtmosphericHero } from './scene-atmospheric.js';
-import { initAoxCore } from './scene-aox.js';
-import { initShowcaseMap } from './scene-showcase.js';
+import { initAtmosphericHero, ATMOSPHERIC_POSTER, removeLoader } from './scene-atmospheric.js';
+import { initAoxCore, AOX_POSTER } from './scene-aox.js';
+import { initShowcaseMap, SHOWCASE_POSTER } from './scene-showcase.js';
 import ShowcaseUI from './showcase-ui.js';
+import { initShowcaseMobile } from './showcase-mobile.js';
 import ResizeManager from './resize-manager.js';
+import SceneRegistry, { SCENE_LIFECYCLE_EVENT } from './scene-registry.js';
+import ScenePoster from './scene-poster.js';
+import QualityGovernor from './quality-governor.js';
+import DeviceProfile from './device-profile.js';
+import MotionPolicy, { REDUCED_FADE_DURATION } from './motion-policy.js';
+import { initAoxAttract } from './aox-attract.js';
 
 // --- MOBILE BREAKPOINT ---
 const MOBILE_BREAKPOINT = 768;
@@ -20,19 +27,49 @@ function unlockScroll() {
     document.body.style.removeProperty('--scrollbar-width');
 }
 
+// --- SCENE POSTERS ---
+// Poster dichiarato da ogni scena (keyed by container ID): sostituisce il canvas quando la scena non può girare
+const SCENE_POSTERS = {
+    'canvas-container': ATMOSPHERIC_POSTER,
+    'aox-canvas-container': AOX_POSTER,
+    'showcase-canvas': SHOWCASE_POSTER
+};
+
+function initScenePosters() {
+    window.addEventListener(SCENE_LIFECYCLE_EVENT, (e) => {
+        const { id, state } = e.detail;
+        const poster = SCENE_POSTERS[id];
+        const container = document.getElementById(id);
+        if (!poster || !container) return;
+
+        if (state === 'unavailable' || state === 'failed') {
+            ScenePoster.show(container, poster);
+            // L'hero non arriverà mai: il loader non ha niente da aspettare
+            if (id === 'canvas-container') removeLoader();
+        } else if (state === 'ready' || state === 'running') {
+            ScenePoster.hide(container);
+        }
+    });
+}
+
 // --- 1. GLOBAL INIT ---
 window.onload = function () {
     ResizeManager.init();
 
+    // --- DEVICE PROFILE (capabilities, not width, decide what the scenes may do) ---
+    const profile = DeviceProfile.get();
+    if (profile.tier) QualityGovernor.setCeiling(profile.tier);
+
     // --- MAGNETIC CURSOR (Voltera Hero) ---
     document.addEventListener('mousemove', (e) => {
         const x = (e.clientX / window.innerWidth) * 2 - 1;  // -1 to +1
         const y = -(e.clientY / window.innerHeight) * 2 + 1; // -1 to +1 (inverted for 3D)
-        window.dispatchEvent(new CustomEvent('vltMouseMove', { detail: { x, y } }));
+        window.dispatchEvent(new CustomEvent('vltMouseMove', { detail: { x, y, active: true } }));
     });
 
     document.addEventListener('mouseleave', () => {
-        window.dispatchEvent(new CustomEvent('vltMouseMove', { detail: { x: 0, y: 0 } }));
+        // active: false -> il cursore ha lasciato la finestra (le scene possono ignorare x/y)
+        window.dispatchEvent(new CustomEvent('vltMouseMove', { detail: { x: 0, y: 0, active: false } }));
     });
 
     // Attivazione Motion System
@@ -43,136 +80,114 @@ window.onload = function () {
 
     // Lucide removed (inline SVGs used)
 
-    // AOX controller reference (declared early for resize callback access)
-    let aoxController = null;
-
-    // Map to store scene controllers keyed by container ID
-    const sceneControllers = new Map();
-
-    const atmosphericContainer = document.getElementById('canvas-container');
-    const atmospheric = initAtmosphericHero(atmosphericContainer);
-    if (atmospheric) sceneControllers.set('canvas-container', atmospheric);
-
-    // --- LAZY LOAD SHOWCASE ---
-    const showcaseContainer = document.getElementById('showcase-canvas');
-    // REMOVED immediate init
+    // --- 3D SCENES (SceneRegistry: init, start/stop on visibility, resize, dispose) ---
+    // Scenes are keyed by container ID; posters listen before the first registration
+    initScenePosters();
+    SceneRegistry.register('canvas-container', {
+        element: document.getElementById('canvas-container'),
+        init: initAtmosphericHero
+    });
 
     initThemeObserver();
     initAoxInteraction();
 
     initRevealTextAnimation();
 
-    // --- ORCHESTRAZIONE SHOWCASE UI (DEFERRED) ---
-    // Moved inside showcaseObserver callback below
+    // --- ORCHESTRAZIONE SHOWCASE UI ---
+    // Un solo dossier per le due viste: ring 3D (desktop) e card deck (mobile)
+    ShowcaseUI.init(() => {
+        window.dispatchEvent(new CustomEvent('vltProjectClose'));
+        unlockScroll();
+    }, { baseAssetPath: './assets/video/' });
 
-    // Ascolta la selezione del progetto dalla scena 3D
+    // Ascolta la selezione del progetto (monolite 3D o card mobile)
     window.addEventListener('vltProjectSelect', (e) => {
         const projectData = e.detail;
         ShowcaseUI.open(projectData);
         lockScroll();
     });
 
-    // Handle desktop→mobile resize: stop AOX scene safely
-
-    // Handle desktop→mobile resize: stop AOX scene safely
-
-
-    // --- VISIBILITY MANAGEMENT (IntersectionObserver) ---
-    const visibilityObserver = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-            const containerId = entry.target.id;
-            const scene = sceneControllers.get(containerId);
-
-            if (scene) {
-                if (entry.isIntersecting) {
-                    scene.start();
-                } else {
-                    scene.stop();
-                }
-            }
-        });
-    }, {
-        rootMargin: '0px 0px 200px 0px', // Start slightly before entering viewport
-        threshold: 0
-    });
-
-    // Observe synchronous scenes
-    sceneControllers.forEach((_, id) => {
-        const el = document.getElementById(id);
-        if (el) visibilityObserver.observe(el);
+    // --- SHOWCASE VIEW: ring 3D o card deck ---
+    // Below the desktop layout the CSS shows the deck; above it the profile decides: no 3D showcase
+    // (or a failed one) switches the section to the deck too, never to an empty 600vh track
+    const showcaseSection = document.getElementById('showcase');
+    const useShowcaseDeck = () => {
+        if (!showcaseSection || showcaseSection.classList.contains('is-deck')) return;
+        showcaseSection.classList.add('is-deck');
+        ScrollTrigger.refresh();
+        console.log('[Showcase] Card deck view');
+    };
+    if (!profile.features.showcase) useShowcaseDeck();
+    window.addEventListener(SCENE_LIFECYCLE_EVENT, (e) => {
+        const { id, state } = e.detail;
+        if (id === 'showcase-canvas' && (state === 'unavailable' || state === 'failed')) useShowcaseDeck();
     });
 
-    // --- LAZY LOAD SHOWCASE OBSERVER ---
-    const SHOWCASE_DESKTOP_BREAKPOINT = 1024;
-
-    const showcaseObserver = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-            if (entry.isIntersecting && !sceneControllers.has('showcase-canvas')) {
-                // GATEKEEPER: Only init Three.js on Desktop
-                if (window.innerWidth >= SHOWCASE_DESKTOP_BREAKPOINT) {
-                    console.log('🎨 Showcase Mode: DESKTOP (Three.js enabled)');
-                    // 1. Initialize Map
-                    const showcase = initShowcaseMap(showcaseContainer);
-                    if (showcase) {
-                        sceneControllers.set('showcase-canvas', showcase);
-
-                        // Start immediately if visible
-                        showcase.start();
-
-                        // 2. Force Resize to prevent black screen (User Request)
-                        window.dispatchEvent(new Event('resize'));
-
-                        // 3. Initialize UI (Coordinated)
-                        ShowcaseUI.init(() => {
-                            window.dispatchEvent(new CustomEvent('vltProjectClose'));
-                            unlockScroll();
-                        }, { baseAssetPath: './assets/video/' });
-
-                        // 4. Handoff to standard visibility observer
-                        visibilityObserver.observe(entry.target);
-                    }
-                } else {
-                    console.log('🎨 Showcase Mode: MOBILE (Three.js skipped, UI only)');
-                    // On mobile, we might just want to unobserve or handle UI logic if needed
-                    // For now, simply unobserving to prevent repeat checks
-                }
-
-                // Stop lazy observer
-                showcaseObserver.unobserve(entry.target);
-            }
-        });
-    }, {
-        rootMargin: '0px 0px 500px 0px' // Restore fixed margin for consistent pre-loading
+    // --- LAZY LOAD SHOWCASE ---
+    SceneRegistry.register('showcase-canvas', {
+        element: document.getElementById('showcase-canvas'),
+        lazy: true,
+        init: (container) => {
+            // GATEKEEPER: the scene checks the device profile itself
+            const showcase = initShowcaseMap(container);
+            console.log(`🎨 Showcase Mode: ${showcase ? '3D (Three.js enabled)' : 'LITE (Three.js skipped, UI only)'}`);
+            return showcase;
+        }
     });
 
-    if (showcaseContainer) showcaseObserver.observe(showcaseContainer);
-
-    // --- ASYNC AOX (Parallel & Non-Blocking) ---
-    // Initialize AOX Core unconditionally
-    const aoxContainer = document.getElementById('aox-canvas-container');
-    initAoxCore(aoxContainer).then(aox => {
+    // --- MOBILE SHOWCASE (card deck, built on approach; hidden while the 3D ring runs) ---
+    initShowcaseMobile(document.getElementById('showcase-mobile-container'));
+
+    // --- LAZY AOX (Parallel & Non-Blocking) ---
+    // Lazy: the container is display:none below 768px and never intersects, so phones skip bakes and textures.
+    // The wider margin keeps the head start on desktop (one viewport ahead instead of 500px).
+    // The promise resolves once the sphere is drawable: morph targets keep streaming
+    // in the background (see aox.targetsLoaded), so aoxReady never waits for data.
+    SceneRegistry.register('aox-canvas-container', {
+        element: document.getElementById('aox-canvas-container'),
+        lazy: true,
+        initMargin: '0px 0px 100% 0px',
+        init: initAoxCore
+    }).then(aox => {
         // EVENTO GLOBALE DI STATO (segnala al DOM che la GPU è pronta)
         window.aoxIsReady = true;
         window.dispatchEvent(new Event('aoxReady'));
 
+        // Attract mode: parte quando il manifest (ordine, tempi) è disponibile
         if (aox) {
-            aoxController = aox;
-            const id = 'aox-canvas-container';
-            sceneControllers.set(id, aox);
-
-            const el = document.getElementById(id);
-            if (el) {
-                visibilityObserver.observe(el);
-                // Manual check if already in view after async load
-                const rect = el.getBoundingClientRect();
-                if (rect.top < window.innerHeight + 200 && rect.bottom > 0) {
-                    aox.start();
-                }
-            }
+            aox.targetsLoaded.then(manifest => {
+                if (manifest) initAoxAttractGate(manifest.attract);
+            });
         }
     });
 };
 
+// Attract mode solo con la sfera in movimento nella griglia desktop: created when both hold, disposed when either stops
+function initAoxAttractGate(config) {
+    const section = document.getElementById('aox');
+    const desktopLayout = window.matchMedia('(min-width: 1024px)');   // Same breakpoint as style.css
+    let attract = null;
+    let enabled = true;
+
+    const sync = () => {
+        const wanted = desktopLayout.matches && SceneRegistry.state('aox-canvas-container') === 'running';
+        if (wanted && !attract && enabled) {
+            attract = initAoxAttract(section, config);
+            // Disabled or nothing to cycle: don't retry on every lifecycle change
+            if (!attract) enabled = false;
+        } else if (!wanted && attract) {
+            attract.dispose();
+            attract = null;
+        }
+    };
+
+    desktopLayout.addEventListener('change', sync);
+    window.addEventListener(SCENE_LIFECYCLE_EVENT, (e) => {
+        if (e.detail.id === 'aox-canvas-container') sync();
+    });
+    sync();
+}
+
 // --- 2. MOBILE MENU ---
 const burger = document.getElementById('burger');
 const mobileMenu = document.getElementById('mobile-menu');
@@ -238,19 +253,35 @@ function initRevealTextAnimation() {
 
     // Mobile-adaptive scrub: fixed to 2.5
     const scrubValue = 2.5;
+    let tween = null;
 
-    gsap.to(revealText, {
-        opacity: 1,
-        y: 0,
-        filter: "blur(0px)",
-        ease: "power2.out",
-        scrollTrigger: {
-            trigger: ".vision",
-            start: "top 85%",
-            end: "center 20%",
-            scrub: scrubValue
+    // Ricostruito a ogni cambio di MotionPolicy: con reduced motion resta solo la dissolvenza (niente salita)
+    function build(reduced) {
+        if (tween) {
+            tween.scrollTrigger.kill();
+            tween.kill();
         }
-    });
+        // Back to the stylesheet start (y 100px, opacity 0, blur 20px): the killed tween (or the reduced y:0)
+        // leaves inline values that the new tween would otherwise read as its start
+        gsap.set(revealText, { clearProps: "transform,opacity,filter" });
+        if (reduced) gsap.set(revealText, { y: 0 });
+
+        tween = gsap.to(revealText, {
+            opacity: 1,
+            ...(reduced ? {} : { y: 0 }),
+            filter: "blur(0px)",
+            ease: reduced ? "none" : "power2.out",
+            scrollTrigger: {
+                trigger: ".vision",
+                start: "top 85%",
+                end: "center 20%",
+                scrub: reduced ? true : scrubValue
+            }
+        });
+    }
+
+    build(MotionPolicy.reduced);
+    MotionPolicy.subscribe(build);
 }
 
 // --- 5. AOX INTERACTION SYSTEM ---
@@ -258,21 +289,31 @@ function initAoxInteraction() {
     const tiles = document.querySelectorAll('.aox-tile');
     const canvasContainer = document.getElementById('aox-canvas-container');
 
-    // Viewport detection with resize re-evaluation
-    let isTablet = window.innerWidth <= 1024;
+    // Hover only in the desktop grid with a precise pointer (device profile). Everywhere else tap:
+    // touch in the grid (.is-open), and the stacked accordions below it (.is-active), whose opening
+    // moves the rows under a hovering mouse
+    const desktopLayout = window.matchMedia('(min-width: 1024px)');
+    const readHover = () => desktopLayout.matches && DeviceProfile.get().pointer === 'fine';
+    let usesHover = readHover();
+    let openClass = desktopLayout.matches ? 'is-open' : 'is-active';
+
+    const closeTiles = () => tiles.forEach(t => t.classList.remove('is-open', 'is-active'));
+
+    // Re-evaluated on resize (tablet + mouse, devtools emulation), like the hero controls
     ResizeManager.subscribe(() => {
-        isTablet = window.innerWidth <= 1024;
+        const nextHover = readHover();
+        const nextClass = desktopLayout.matches ? 'is-open' : 'is-active';
         // Reset active states when switching between modes
-        if (!isTablet) {
-            tiles.forEach(t => t.classList.remove('is-active'));
-        }
+        if (nextHover !== usesHover || nextClass !== openClass) closeTiles();
+        usesHover = nextHover;
+        openClass = nextClass;
     });
 
     tiles.forEach(tile => {
-        // Desktop hover (bypassed on tablet)
+        // Desktop hover (the panel opens via CSS :hover)
         let hoverTimeout;
         tile.addEventListener('mouseenter', () => {
-            if (isTablet) return; // Bypass on tablet
+            if (!usesHover) return;
 
             // Debounce: Wait 100ms before firing 3D state change
             hoverTimeout = setTimeout(() => {
@@ -284,7 +325,7 @@ function initAoxInteraction() {
         });
 
         tile.addEventListener('mouseleave', () => {
-            if (isTablet) return; // Bypass on tablet
+            if (!usesHover) return;
 
             // Cancel pending start if user left quickly
             if (hoverTimeout) clearTimeout(hoverTimeout);
@@ -294,14 +335,14 @@ function initAoxInteraction() {
             }));
         });
 
-        // Tablet click interaction
+        // Tap interaction (touch / no precise pointer)
         tile.addEventListener('click', () => {
-            if (!isTablet) return; // Only on tablet
+            if (usesHover) return;
 
-            const wasActive = tile.classList.contains('is-active');
+            const wasActive = tile.classList.contains(openClass);
 
             // Remove active from all tiles
-            tiles.forEach(t => t.classList.remove('is-active'));
+            closeTiles();
 
             if (wasActive) {
                 // Close panel and reset cloud
@@ -310,7 +351,7 @@ function initAoxInteraction() {
                 }));
             } else {
                 // Activate clicked tile
-                tile.classList.add('is-active');
+                tile.classList.add(openClass);
                 const ambito = tile.dataset.ambito;
                 // 150ms delay: allows CSS .is-active to render before 3D morphing
                 setTimeout(() => {
@@ -343,6 +384,12 @@ function textScramble(element, duration = 1200) {
     const original = element.dataset.originalText || element.textContent;
     if (!element.dataset.originalText) element.dataset.originalText = original;
 
+    // Reduced motion: testo definitivo subito
+    if (MotionPolicy.reduced) {
+        element.textContent = original;
+        return;
+    }
+
     const start = performance.now();
     let frameCount = 0; // Contatore frame
 
@@ -366,6 +413,31 @@ function textScramble(element, duration = 1200) {
     })();
 }
 
+/**
+ * Reveal GSAP secondo la MotionPolicy: con reduced motion diventa una dissolvenza semplice
+ * (spostamenti azzerati subito, niente stagger né easing custom). Si decide al momento del reveal.
+ * @param {gsap.TweenTarget} targets
+ * @param {Object} vars - gsap.to vars of the full-motion reveal
+ */
+function reveal(targets, vars) {
+    if (!MotionPolicy.reduced) return gsap.to(targets, vars);
+
+    const { x, y, stagger, ...fade } = vars;
+    const offsets = {};
+    if (x !== undefined) offsets.x = x;
+    if (y !== undefined) offsets.y = y;
+    gsap.set(targets, offsets);
+    return gsap.to(targets, { ...fade, duration: REDUCED_FADE_DURATION, ease: "none" });
+}
+
+// One-shot reveal on scroll: la tween nasce all'ingresso, così segue la preferenza corrente
+function revealOnScroll(targets, trigger, start, vars) {
+    ScrollTrigger.create({
+        trigger, start, once: true,
+        onEnter: () => reveal(targets, vars)
+    });
+}
+
 /**
  * Inizializzazione di tutte le animazioni ScrollTrigger
  * FIX v2: Auto-pulizia per ripristinare le funzionalità AOX (Hover & Pannelli)
@@ -378,18 +450,12 @@ function initVolteraMotion() {
 
     // 1. REVEAL VISION (Hero)
     gsap.utils.toArray('.vlt-reveal-vision').forEach(el => {
-        gsap.to(el, {
-            opacity: 1, y: 0, duration: 2.2, ease: "voltera",
-            scrollTrigger: { trigger: el, start: "top 85%" }
-        });
+        revealOnScroll(el, el, "top 85%", { opacity: 1, y: 0, duration: 2.2, ease: "voltera" });
     });
 
     // 2. REVEAL MESSAGE (Titoli)
     gsap.utils.toArray('.vlt-reveal-message').forEach(el => {
-        gsap.to(el, {
-            opacity: 1, y: 0, duration: 1.2, ease: "voltera",
-            scrollTrigger: { trigger: el, start: "top 90%" }
-        });
+        revealOnScroll(el, el, "top 90%", { opacity: 1, y: 0, duration: 1.2, ease: "voltera" });
     });
 
     // 2.5 SLIDE-IN FROM RIGHT (Metodo) - INTERSECTION OBSERVER
@@ -397,7 +463,7 @@ function initVolteraMotion() {
         entries.forEach(entry => {
             if (entry.isIntersecting) {
                 // Lancia l'animazione GSAP con easing custom
-                gsap.to(entry.target, {
+                reveal(entry.target, {
                     opacity: 1,
                     x: 0,
                     duration: 1.6,
@@ -417,7 +483,7 @@ function initVolteraMotion() {
     const revealSafeObserver = new IntersectionObserver((entries) => {
         entries.forEach(entry => {
             if (entry.isIntersecting) {
-                gsap.to(entry.target, {
+                reveal(entry.target, {
                     opacity: 1,
                     y: 0,
                     duration: 1.2,
@@ -459,9 +525,8 @@ function initVolteraMotion() {
     const partnerGrid = document.querySelector('.partner-grid-standard');
     if (partnerGrid) {
         const items = partnerGrid.querySelectorAll('.vlt-stagger-item');
-        gsap.to(items, {
+        revealOnScroll(items, partnerGrid, "top 75%", {
             opacity: 1, y: 0, duration: 1.0, stagger: 0.15, ease: "voltera",
-            scrollTrigger: { trigger: partnerGrid, start: "top 75%" },
             onComplete: () => {
                 gsap.set(items, { clearProps: "all" });
                 items.forEach(item => item.classList.remove('vlt-stagger-item'));
@@ -469,26 +534,23 @@ function initVolteraMotion() {
         });
     }
 
-    // 3B. AOX Grid (Device-Dependent Strategy)
+    // 3B. AOX Grid (Motion-Policy Strategy)
     const aoxGrid = document.querySelector('.aox-tiles-grid');
     if (aoxGrid) {
         const items = aoxGrid.querySelectorAll('.vlt-stagger-item');
 
-        if (window.innerWidth > 1024) {
-            // DESKTOP (> 1024px): PRIORITÀ 3D
-            // Immediate visibility, zero animation overhead
+        if (MotionPolicy.reduced) {
+            // REDUCED MOTION: tiles visible at once, no stagger
             gsap.set(items, { opacity: 1, y: 0, clearProps: "all" });
             items.forEach(item => item.classList.remove('vlt-stagger-item'));
         } else {
-            // MOBILE/TABLET (<= 1024px): PRIORITÀ UX
-            // Keep stagger animation
-            gsap.to(items, {
+            // FULL MOTION: stagger on approach (the tiles and the sphere share the section either way)
+            revealOnScroll(items, aoxGrid, "top 75%", {
                 opacity: 1,
                 y: 0,
                 duration: 1.0,
                 stagger: 0.15,
                 ease: "power2.out",
-                scrollTrigger: { trigger: aoxGrid, start: "top 75%" },
                 onComplete: () => {
                     gsap.set(items, { clearProps: "all" });
                     items.forEach(item => item.classList.remove('vlt-stagger-item'));
@@ -513,8 +575,8 @@ function initVolteraMotion() {
                     textScramble(el, 1500);
                 };
 
-                // DESKTOP: Attendi caricamento 3D per non rubare CPU
-                if (window.innerWidth > 1024 && !window.aoxIsReady) {
+                // 3D AOX in costruzione: attendi per non rubare CPU (lazy, so a hidden or unbuilt AOX never blocks)
+                if (SceneRegistry.state('aox-canvas-container') === 'initializing') {
                     window.addEventListener('aoxReady', playAnim, { once: true });
                 } else {
                     // MOBILE/READY: Vai subito
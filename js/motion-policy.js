@@ -0,0 +1,65 @@
+/**
+ * Motion Policy
+ * The page-wide answer to prefers-reduced-motion, read live from the media query.
+ *
+ * Reduced: scrambles become instant text, reveals become plain fades, ambient 3D motion
+ * (spins, flicker, turbulence, attract mode) stops and the scenes draw at IDLE_FPS, enough to
+ * follow the user's own input (drag, hover, the morphs they ask for) on a still picture.
+ * Every change reaches the subscribers and is dispatched on window as 'vltMotionChange' ({ reduced });
+ * CSS animations follow the same media query on their own (style.css).
+ */
+
+const QUERY = '(prefers-reduced-motion: reduce)';
+export const IDLE_FPS = 8;
+export const REDUCED_FADE_DURATION = 0.4;   // Seconds, the fades that replace reveals
+
+const callbacks = new Set();
+let mediaQuery = null;
+
+function getMediaQuery() {
+    if (!mediaQuery) {
+        mediaQuery = window.matchMedia(QUERY);
+        mediaQuery.addEventListener('change', () => {
+            const reduced = mediaQuery.matches;
+            console.log(`[MotionPolicy] Reduced motion ${reduced ? 'on' : 'off'}`);
+            callbacks.forEach(cb => cb(reduced));
+            window.dispatchEvent(new CustomEvent('vltMotionChange', { detail: { reduced } }));
+        });
+    }
+    return mediaQuery;
+}
+
+const MotionPolicy = {
+    get reduced() {
+        return getMediaQuery().matches;
+    },
+
+    // fn(reduced) on every change; returns the matching unsubscribe function
+    subscribe(fn) {
+        getMediaQuery();
+        if (typeof fn === 'function') {
+            callbacks.add(fn);
+        }
+        return () => callbacks.delete(fn);
+    },
+
+    unsubscribe(fn) {
+        callbacks.delete(fn);
+    },
+
+    /**
+     * Frame gate for a RAF loop: every frame passes at full motion, IDLE_FPS of them when reduced
+     * @returns {Function} (now) => boolean, true when the frame should be drawn
+     */
+    createFrameGate() {
+        let lastFrame = -Infinity;
+        return (now) => {
+            if (!MotionPolicy.reduced) return true;
+            if (now - lastFrame < 1000 / IDLE_FPS) return false;
+            lastFrame = now;
+            return true;
+        };
+    }
+};
+
+export default MotionPolicy;
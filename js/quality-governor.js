@@ -0,0 +1,156 @@
+/**
+ * Quality Governor
+ * One quality level for the whole page (the scenes share one GPU and one renderer), stepped
+ * from the frame times measured in the scenes' RAF loops.
+ *
+ * Scenes register an apply(level) callback that maps the level onto their own knobs
+ * (pixel ratio, MSAA samples, bloom resolution, shadow map size, particle count) and call
+ * frame(id, now) once per tick. Hysteresis: a slow window steps down right away, stepping up
+ * takes several fast windows in a row, and every failure of a level doubles the streak it
+ * needs next time, so a weak laptop settles instead of oscillating.
+ * Every change is dispatched on window as 'vltQualityChange' ({ level, previous, frameTime }).
+ */
+
+export const QUALITY_LEVELS = ['low', 'medium', 'high', 'ultra'];
+
+const WINDOW_FRAMES = 90;          // Samples per evaluation window (~1.5s at 60 fps)
+const DOWNGRADE_MS = 24;           // Window average above this -> step down (< ~42 fps)
+const UPGRADE_MS = 18;             // Below this -> counts as a good window (> ~55 fps)
+const UPGRADE_WINDOWS = 4;         // Good windows in a row needed to step up (doubled per failure)
+const MAX_SAMPLE_MS = 250;         // Longer gaps are pauses (tab hidden, scene restarted), not frames
+const SETTLE_FRAMES = 30;          // Frames ignored after a change (buffers being re-allocated)
+
+let levelIndex = QUALITY_LEVELS.length - 1;   // Full fidelity until measured otherwise
+let ceilingIndex = QUALITY_LEVELS.length - 1;
+const scenes = new Map();          // id -> { apply, lastFrame }
+const failures = new Array(QUALITY_LEVELS.length).fill(0);
+let samples = [];
+let goodWindows = 0;
+let settleFrames = 0;
+
+function setLevelIndex(index, frameTime = null) {
+    const next = Math.max(0, Math.min(ceilingIndex, index));
+    if (next === levelIndex) return;
+
+    const previous = QUALITY_LEVELS[levelIndex];
+    levelIndex = next;
+    samples = [];
+    goodWindows = 0;
+    settleFrames = SETTLE_FRAMES;
+
+    const level = QUALITY_LEVELS[levelIndex];
+    console.log(`[Quality] ${previous} -> ${level}${frameTime !== null ? ` (avg ${frameTime.toFixed(1)}ms)` : ''}`);
+    scenes.forEach(scene => scene.apply(level));
+    window.dispatchEvent(new CustomEvent('vltQualityChange', { detail: { level, previous, frameTime } }));
+}
+
+function evaluate() {
+    const average = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+    samples = [];
+
+    if (average > DOWNGRADE_MS && levelIndex > 0) {
+        failures[levelIndex]++;
+        setLevelIndex(levelIndex - 1, average);
+        return;
+    }
+
+    goodWindows = average < UPGRADE_MS ? goodWindows + 1 : 0;
+    const nextIndex = levelIndex + 1;
+    if (nextIndex <= ceilingIndex && goodWindows >= UPGRADE_WINDOWS * 2 ** failures[nextIndex]) {
+        setLevelIndex(nextIndex, average);
+    }
+}
+
+/**
+ * Registers a scene and applies the current level to it right away
+ * @param {string} id
+ * @param {Function} apply - (level) => void, level is one of QUALITY_LEVELS
+ * @returns {Function} Unregister
+ */
+function register(id, apply) {
+    scenes.set(id, { apply, lastFrame: null });
+    apply(QUALITY_LEVELS[levelIndex]);
+    return () => scenes.delete(id);
+}
+
+/**
+ * Records one frame of a scene's RAF loop
+ * @param {string} id - Registered scene id
+ * @param {number} now - RAF timestamp / performance.now() in ms
+ */
+function frame(id, now) {
+    const scene = scenes.get(id);
+    if (!scene) return;
+
+    const delta = scene.lastFrame === null ? Infinity : now - scene.lastFrame;
+    scene.lastFrame = now;
+    if (delta > MAX_SAMPLE_MS) return;
+    if (settleFrames > 0) {
+        settleFrames--;
+        return;
+    }
+
+    samples.push(delta);
+    if (samples.length >= WINDOW_FRAMES) evaluate();
+}
+
+/**
+ * Caps the level (e.g. from a device profile) and moves to it
+ * @param {string} level - Starting level, also the highest the governor may reach
+ */
+function setCeiling(level) {
+    const index = QUALITY_LEVELS.indexOf(level);
+    if (index === -1) return;
+    ceilingIndex = index;
+    if (levelIndex > ceilingIndex) setLevelIndex(ceilingIndex);
+}
+
+/**
+ * Forces a level (clamped to the ceiling)
+ * @param {string} level
+ */
+function setLevel(level) {
+    const index = QUALITY_LEVELS.indexOf(level);
+    if (index !== -1) setLevelIndex(index);
+}
+
+const QualityGovernor = {
+    register,
+    frame,
+    setCeiling,
+    setLevel,
+    get level() {
+        return QUALITY_LEVELS[levelIndex];
+    }
+};
+
+export default QualityGovernor;
+
+// --- KNOB HELPERS (shared by the scenes) ---
+
+/**
+ * Changes the MSAA samples of an EffectComposer: both buffers are freed and re-created on the next frame
+ * @param {EffectComposer} composer
+ * @param {number} samples
+ */
+export function setComposerSamples(composer, samples) {
+    [composer.renderTarget1, composer.renderTarget2].forEach(target => {
+        if (target.samples === samples) return;
+        target.samples = samples;
+        target.dispose();
+    });
+}
+
+/**
+ * Changes the shadow map size of a light: the old map is freed, three allocates the new one
+ * @param {THREE.Light} light
+ * @param {number} size
+ */
+export function setShadowMapSize(light, size) {
+    if (light.shadow.mapSize.width === size && light.shadow.mapSize.height === size) return;
+    light.shadow.mapSize.set(size, size);
+    if (light.shadow.map) {
+        light.shadow.map.dispose();
+        light.shadow.map = null;
+    }
+}
@@ -1,4 +1,3 @@
-
 const callbacks = new Set();
 let initialized = false;
 
@@ -11,10 +10,12 @@ const ResizeManager = {
         initialized = true;
     },
 
+    // Returns the matching unsubscribe function
     subscribe(fn) {
         if (typeof fn === 'function') {
             callbacks.add(fn);
         }
+        return () => callbacks.delete(fn);
     },
 
     unsubscribe(fn) {
@@ -1,16 +1,36 @@
 import * as THREE from 'three';
-import ResizeManager from './resize-manager.js';
+import { loadAoxBake } from './aox-modules/AoxBakeFormat.js';
+import { loadAoxManifest, morphKey, DEFAULT_COLOR, DEFAULT_SPHERE_TRANSITION, DEFAULT_POINTER } from './aox-modules/AoxManifest.js';
+import { fibonacciSphere, AOX_SPHERE_RADIUS } from './aox-modules/AoxBakeOrder.js';
+import { AoxMorphState, groupRanks } from './aox-modules/AoxMorphState.js';
+import { createAoxMaterial, playAoxChoreography } from './aox-modules/AoxMaterial.js';
+import SharedRenderer from './shared-renderer.js';
+import QualityGovernor from './quality-governor.js';
+import DeviceProfile from './device-profile.js';
+import MotionPolicy from './motion-policy.js';
+
+// Poster shown by main.js when the scene can't run (captured with tools/poster-capture.html)
+export const AOX_POSTER = {
+    image: './assets/posters/aox.webp',
+    time: 0.0,
+    label: 'AOX // CORE'
+};
 
 /**
  * AOX Core 3D Scene - Morphing Particle System
- * 50,000 particles with holographic effect and JSON-based morph targets
+ * 50,000 particles with holographic effect and baked (.aox / legacy JSON) morph targets
+ * Position, color and size are interpolated per particle (source -> target), read from
+ * float state textures so interrupting a morph is resolved on the GPU (AoxMorphState).
+ * Transitions play the manifest choreography (scatter / swirl / converge stages) when declared;
+ * composite bakes (GROUP channel) can stagger the arrival of their groups (manifest `stagger`).
+ * The cursor ray (vltMouseMove) pushes nearby particles away; disabled on touch devices.
+ * Resolves as soon as the sphere is drawable; morph targets stream in afterwards.
  * @param {HTMLElement} containerElement - The container element for the scene
  */
 export async function initAoxCore(containerElement) {
     // --- CONSTANTS ---
     const COUNT = 50000;
-    const PHI = Math.PI * (3 - Math.sqrt(5));  // Golden angle
-    const SPHERE_RADIUS = 3.5;
+    const SPHERE_RADIUS = AOX_SPHERE_RADIUS;   // Condiviso col baker (ordinamento 'sphere')
 
     // --- CAMERA SCALE CONFIG ---
     const BASE_Z = 11;
@@ -18,41 +38,57 @@ export async function initAoxCore(containerElement) {
     const THRESHOLD_ASPECT = 0.86;
     const RETREAT_SENSITIVITY = 1.0;   // >1 = arretramento più aggressivo
 
+    // --- POINTER FIELD CONFIG ---
+    const POINTER_SPRING_STIFFNESS = 60;  // Molla sull'intensità del campo (rimbalzo in entrata/uscita)
+    const POINTER_SPRING_DAMPING = 8;     // < 2*sqrt(stiffness): leggermente sottosmorzata
+    const POINTER_FOLLOW = 10;            // Inseguimento del punto d'impatto (1/s)
+
+    // --- QUALITY (QualityGovernor levels) ---
+    // density = quota delle COUNT particelle disegnate (diradamento uniforme nello shader)
+    const QUALITY = {
+        low: { pixelRatio: 1.0, density: 0.4 },
+        medium: { pixelRatio: 1.5, density: 0.7 },
+        high: { pixelRatio: 2.0, density: 1.0 },
+        ultra: { pixelRatio: 2.0, density: 1.0 }
+    };
+    const FULL_PIXEL_RATIO = Math.min(window.devicePixelRatio, 2);
+
     // --- VARIABLES ---
-    let scene, camera, renderer;
+    let scene, camera, view, renderer;
     let pointCloud, geometry, shaderMaterial;
     let isRunning = false;
+    let isActive = false;   // Richiesto da start/stop: sopravvive a una perdita di contesto
+    let isDisposed = false; // Il caricamento dei target in volo si ferma al prossimo await
     let rafId = null;
 
     const container = containerElement;
     if (!container) return null;
 
-    // --- MOBILE OPTIMIZATION ---
-    // Disattiva completamente su mobile (< 768px)
-    // Attivo su Tablet (>= 768px) e Desktop
-    if (window.innerWidth < 768) {
-        console.log('[AOX] Mobile device detected (<768px). Scene disabled.');
+    // Riempie un buffer RGB (lineare, come THREE.Color) con un unico colore esadecimale
+    const fillColorTmp = new THREE.Color();
+    function fillColor(array, hex) {
+        fillColorTmp.set(hex);
+        for (let i = 0; i < array.length; i += 3) {
+            array[i] = fillColorTmp.r;
+            array[i + 1] = fillColorTmp.g;
+            array[i + 2] = fillColorTmp.b;
+        }
+    }
+
+    // --- DEVICE GATING ---
+    // Disattivata dove la GPU non regge (tier sotto medium) o mancano le texture float nel vertex shader: la larghezza non conta
+    if (!DeviceProfile.get().features.aox) {
+        console.log('[AOX] Device profile below the scene requirements. Scene disabled.');
         return null;
     }
 
-    // --- MORPH TARGETS: Load JSON files with silent fail ---
+    // --- MORPH TARGET STATE (filled in background by loadMorphTargets) ---
+    let manifest = null;
+    let ambitoConfig = new Map();
+    let sphereConfig = { color: DEFAULT_COLOR, transition: { ...DEFAULT_SPHERE_TRANSITION }, choreography: null };
     const morphTargets = {};
-    const ambitoFiles = ['brand', 'spazi', 'web', 'sistemi', 'immersive'];
-
-    for (const ambito of ambitoFiles) {
-        try {
-            const response = await fetch(`./data/aox/${ambito}.json`);
-            if (response.ok) {
-                const data = await response.json();
-                morphTargets[ambito] = new Float32Array(data.points);
-                console.log(`[AOX] Caricato: ${ambito}.json (${data.count} punti)`);
-            } else {
-                console.log(`[AOX] Info: ${ambito}.json non trovato, morphing disattivato`);
-            }
-        } catch (e) {
-            console.log(`[AOX] Info: ${ambito}.json non trovato, morphing disattivato`);
-        }
-    }
+    const targetStatus = new Map();   // key -> 'loading' | 'ready' | 'failed'
+    let requestedState = null;        // Ultimo aoxStateChange ricevuto: { ambito, variant }
 
     // --- SCENE SETUP ---
     scene = new THREE.Scene();
@@ -61,214 +97,362 @@ export async function initAoxCore(containerElement) {
     camera.position.set(0, 0, BASE_Z);
     camera.lookAt(0, 0, 0);
 
-    renderer = new THREE.WebGLRenderer({
-        antialias: true,
-        alpha: true,
-        powerPreference: 'high-performance'
+    // View of the shared renderer (transparent: the section background shows through)
+    view = SharedRenderer.createView(container, {
+        pixelRatio: FULL_PIXEL_RATIO,
+        clearColor: 0x000000,
+        clearAlpha: 0,
+        onContextLost: () => pauseLoop(),
+        onContextRestored: () => {
+            restoreGpuState();
+            if (isActive) resumeLoop();
+        }
     });
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    renderer.setSize(container.clientWidth, container.clientHeight);
-    renderer.setClearColor(0x000000, 0);
-    container.appendChild(renderer.domElement);
+    renderer = view.renderer;
+
+    // Lo stato del morph vive in texture float lette dal vertex shader. WebGL1 basta se le espone
+    // (OES_texture_float): la cattura gira poi sulla CPU (AoxMorphState)
+    const capabilities = renderer.capabilities;
+    if (!capabilities.vertexTextures || !(capabilities.isWebGL2 || renderer.extensions.has('OES_texture_float'))) {
+        console.warn('[AOX] Float vertex textures not available. Scene disabled.');
+        view.dispose();
+        return null;
+    }
 
     // --- GEOMETRY: Fibonacci Sphere Distribution ---
     geometry = new THREE.BufferGeometry();
-    const positions = new Float32Array(COUNT * 3);
+    // Same distribution the baker matches 'sphere'-ordered bakes against
+    const positions = fibonacciSphere(COUNT, SPHERE_RADIUS);
     const basePositions = new Float32Array(COUNT * 3);
 
-    for (let i = 0; i < COUNT; i++) {
-        const y = 1 - (i / (COUNT - 1)) * 2;
-        const radius = Math.sqrt(1 - y * y);
-        const theta = PHI * i;
-
-        positions[i * 3] = Math.cos(theta) * radius * SPHERE_RADIUS;
-        positions[i * 3 + 1] = y * SPHERE_RADIUS;
-        positions[i * 3 + 2] = Math.sin(theta) * radius * SPHERE_RADIUS;
-    }
-
     // Copy to basePositions
     basePositions.set(positions);
 
+    // Colore e dimensione della sfera (riempiti col colore del manifest quando arriva)
+    const baseColors = new Float32Array(COUNT * 3);
+    const baseSizes = new Float32Array(COUNT).fill(1.0);
+    fillColor(baseColors, sphereConfig.color);
+
     geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
 
-    // targetPosition: DynamicDrawUsage for frequent updates
-    const targetPositionAttr = new THREE.BufferAttribute(basePositions.slice(), 3);
-    targetPositionAttr.setUsage(THREE.DynamicDrawUsage);
-    geometry.setAttribute('targetPosition', targetPositionAttr);
+    // Valore casuale fisso per particella: varia ampiezza di scatter e swirl
+    const randoms = new Float32Array(COUNT);
+    for (let i = 0; i < COUNT; i++) randoms[i] = Math.random();
+    geometry.setAttribute('aRandom', new THREE.BufferAttribute(randoms, 1));
+
+    // --- MORPH STATE: source/target in texture (un texel per particella) ---
+    const morphState = new AoxMorphState(renderer, {
+        count: COUNT,
+        positions: basePositions,
+        colors: baseColors,
+        sizes: baseSizes,
+        randoms
+    });
+    geometry.setAttribute('aStateUv', new THREE.BufferAttribute(morphState.createStateUvs(), 2));
+    if (!morphState.gpu) {
+        console.warn('[AOX] Float render targets unavailable: morph capture falls back to the CPU.');
+    }
 
     // --- SHADER MATERIAL ---
-    const vertexShader = `
-        uniform float uTransition;
-        uniform float uTime;
-        attribute vec3 sourcePosition;
-        attribute vec3 targetPosition;
-
-        void main() {
-            float t = uTime;
-            t *= 0.3; // Rallentamento etereo (Living Flame Slow Motion)
-            
-            // === LIVING FLAME: Turbolenza Materica ===
-            
-            // Strato 1-3: Oscillazioni primarie (bassa/media frequenza)
-            vec3 vTurbulence = vec3(
-                sin(t * 1.3 + sourcePosition.y * 2.1) * cos(t * 0.7 + sourcePosition.z * 1.9),
-                cos(t * 2.7 + sourcePosition.x * 1.7) * sin(t * 1.1 + sourcePosition.z * 2.3),
-                sin(t * 3.1 + sourcePosition.x * 2.5) * cos(t * 0.9 + sourcePosition.y * 1.3)
-            );
-            
-            // Strato 4: Micro-jitter plasma ad alta frequenza (POTENZIATO)
-            vec3 microJitter = vec3(
-                sin(t * 7.5 + sourcePosition.x * 10.0),
-                sin(t * 8.3 + sourcePosition.y * 9.0),
-                sin(t * 6.9 + sourcePosition.z * 11.0)
-            ) * 0.25;
-            
-            vTurbulence += microJitter;
-            
-            vTurbulence += microJitter;
-            
-            // Gradiente hFactor UNIFORME: 1.0 su tutta la sfera (base = cima)
-            float hFactor = 1.0;
-            
-            // Deriva termica UNIFORME: spinta costante verso l'alto su tutto il volume
-            vTurbulence.y += hFactor * 0.2;
-            
-            // Ampiezza BILANCIATA (0.40) per gestire densità su 50k particelle
-            // + contenimento magnetico invariato
-            float amplitude = 0.40;
-            float radialDist = length(sourcePosition);
-            float containment = 1.0 - smoothstep(2.5, 3.5, radialDist) * 0.4;
-            
-            vTurbulence *= amplitude * hFactor * containment;
-            
-            // === MORPHING ===
-            
-            // Morphing fluido: source → target
-            vec3 mixedPos = mix(sourcePosition, targetPosition, uTransition);
-            
-            // Applicazione turbolenza con fade-out durante transizione
-            mixedPos += vTurbulence * (1.0 - uTransition);
-
-            vec4 mvPosition = modelViewMatrix * vec4(mixedPos, 1.0);
-            
-            // Dimensione particella con attenuazione prospettica + leggera variazione
-            float sizeVariation = 1.0 + (vTurbulence.x + vTurbulence.y) * 2.0 * (1.0 - uTransition);
-            gl_PointSize = (15.0 / -mvPosition.z) * sizeVariation;
-            gl_Position = projectionMatrix * mvPosition;
-        }
-    `;
-
-    const fragmentShader = `
-        uniform vec3 uColor;
-
-        void main() {
-            // Trasforma i quadrati in cerchi perfetti e sfumati
-            float dist = distance(gl_PointCoord, vec2(0.5));
-            if (dist > 0.5) discard;
-            
-            // Gradiente radiale per l'effetto glow olografico
-            float strength = 1.0 - (dist * 2.0);
-            strength = pow(strength, 2.1);
-            
-            gl_FragColor = vec4(uColor, strength * 2.0);
-        }
-    `;
-
-    shaderMaterial = new THREE.ShaderMaterial({
-        uniforms: {
-            uTransition: { value: 0.0 },
-            uTime: { value: 0.0 },
-            uColor: { value: new THREE.Color(0xc8e0f0) }
-        },
-        vertexShader,
-        fragmentShader,
-        transparent: true,
-        blending: THREE.AdditiveBlending,
-        depthWrite: false
+    // Living flame shaders in AoxMaterial: the baker's morph preview uses the very same material
+    shaderMaterial = createAoxMaterial(morphState, {
+        pointerOrigin: new THREE.Vector3(0, 0, BASE_Z),
+        pointerRadius: DEFAULT_POINTER.radius
     });
 
     // --- POINT CLOUD ---
     pointCloud = new THREE.Points(geometry, shaderMaterial);
     scene.add(pointCloud);
 
+    // gl_PointSize è in pixel del device: con un pixel ratio ridotto va scalato per non ingrossare i punti
+    function applyQuality(level) {
+        const quality = QUALITY[level];
+        view.setPixelRatio(Math.min(FULL_PIXEL_RATIO, quality.pixelRatio));
+        shaderMaterial.uniforms.uPointScale.value = view.getPixelRatio() / FULL_PIXEL_RATIO;
+        shaderMaterial.uniforms.uDensity.value = quality.density;
+    }
+
+    const unregisterQuality = QualityGovernor.register('aox', applyQuality);
+
     // --- SMOOTH TRANSITION STATE ---
-    // sourcePosition: posizione di partenza per l'interpolazione (catturata al momento del cambio)
-    const sourcePositionAttr = new THREE.BufferAttribute(basePositions.slice(), 3);
-    sourcePositionAttr.setUsage(THREE.DynamicDrawUsage);
-    geometry.setAttribute('sourcePosition', sourcePositionAttr);
+    // Lo stato "source" è la partenza dell'interpolazione (catturata al momento del cambio),
+    // "target" l'arrivo: entrambi sono coppie di texture di morphState
 
-    // Aggiorna lo shader uniform per usare sourcePosition
-    shaderMaterial.uniforms.uTransition.value = 0.0;
+    /**
+     * Risolve sulla GPU lo stato VISIBILE di ogni particella (mix(source, target, t) + coreografia,
+     * senza turbolenza) nello slot `into` ('source' o 'target'), poi azzera gli spostamenti di coreografia
+     */
+    function captureVisibleState(into) {
+        const uniforms = shaderMaterial.uniforms;
+
+        morphState.capture(into, {
+            transition: uniforms.uTransition.value,
+            scatter: uniforms.uScatter.value,
+            swirl: uniforms.uSwirl.value,
+            stagger: uniforms.uStagger.value
+        });
+
+        uniforms.uScatter.value = 0.0;
+        uniforms.uSwirl.value = 0.0;
+        uniforms.uStagger.value = 0.0;
+    }
 
     /**
-     * Cattura la posizione CORRENTE di ogni particella basata sul progresso attuale
-     * e la imposta come nuovo punto di partenza (sourcePosition)
+     * Cattura lo stato CORRENTE di ogni particella (posizione, colore, dimensione)
+     * basato sul progresso attuale e lo imposta come nuovo punto di partenza (source*)
      */
     function captureCurrentState() {
-        const sourceAttr = geometry.getAttribute('sourcePosition');
-        const targetAttr = geometry.getAttribute('targetPosition');
-        const t = shaderMaterial.uniforms.uTransition.value;
+        captureVisibleState('source');
+    }
+
+    /**
+     * Risolve lo stato richiesto contro i target disponibili
+     * @returns {{status: 'ready'|'pending'|'none', config?: Object, target?: Object}}
+     */
+    function resolveTarget(state) {
+        if (!state || !state.ambito) return { status: 'none' };
+        if (!manifest) return { status: 'pending' }; // Manifest ancora in volo
+
+        const config = ambitoConfig.get(state.ambito);
+        if (!config) return { status: 'none' };
+
+        // Variante richiesta prima, poi il target base dell'ambito (se la variante fallisce)
+        const keys = [...new Set([morphKey(state.ambito, state.variant), morphKey(state.ambito)])];
+        for (const key of keys) {
+            const status = targetStatus.get(key);
+            if (status === 'ready') return { status: 'ready', config, target: morphTargets[key] };
+            if (status === 'loading') return { status: 'pending', config };
+        }
+        return { status: 'none' };
+    }
+
+    // --- CHOREOGRAPHY ---
+    let activeTimeline = null;
 
-        // Interpola la posizione corrente: mix(source, target, t)
-        for (let i = 0; i < COUNT * 3; i++) {
-            sourceAttr.array[i] = sourceAttr.array[i] * (1 - t) + targetAttr.array[i] * t;
+    function stopChoreography() {
+        if (activeTimeline) {
+            activeTimeline.kill();
+            activeTimeline = null;
         }
-        sourceAttr.needsUpdate = true;
+        const { uTransition, uScatter, uSwirl } = shaderMaterial.uniforms;
+        gsap.killTweensOf([uTransition, uScatter, uSwirl]);
     }
 
-    // --- EVENT LISTENER: aoxStateChange ---
-    window.addEventListener('aoxStateChange', (e) => {
-        const ambito = e.detail.ambito;
-        console.log(`[AOX] Scena 3D: Ricevuto comando per ambito ${ambito}`);
+    function playChoreography(choreography, transition, forward) {
+        activeTimeline = playAoxChoreography(shaderMaterial.uniforms, choreography, transition, forward, () => {
+            activeTimeline = null;
+        });
+        // Reduced motion: no flight through scatter/swirl, the cloud lands on the arrival state
+        if (MotionPolicy.reduced) activeTimeline.progress(1);
+    }
+
+    // Preference switched on mid-flight: land right away
+    const unsubscribeMotion = MotionPolicy.subscribe(reduced => {
+        if (reduced && activeTimeline) activeTimeline.progress(1);
+    });
+
+    function setPending(isPending) {
+        const uniform = shaderMaterial.uniforms.uPending;
+        gsap.killTweensOf(uniform);
+        gsap.to(uniform, { value: isPending ? 1.0 : 0.0, duration: 0.6, ease: 'power2.out' });
+    }
+
+    let isPending = false;
 
+    function applyState(state) {
         // SICUREZZA: Ferma qualsiasi animazione in corso (evita conflitti su tablet)
-        gsap.killTweensOf(shaderMaterial.uniforms.uTransition);
+        stopChoreography();
 
-        const sourceAttr = geometry.getAttribute('sourcePosition');
-        const targetAttr = geometry.getAttribute('targetPosition');
-        const currentT = shaderMaterial.uniforms.uTransition.value;
+        const resolved = resolveTarget(state);
+        if ((resolved.status === 'pending') !== isPending) {
+            isPending = resolved.status === 'pending';
+            setPending(isPending);
+        }
+
+        if (resolved.status === 'ready') {
+            const { config, target } = resolved;
 
-        if (ambito && morphTargets[ambito]) {
             // === ATTIVAZIONE PROGETTO ===
-            // Cattura posizione attuale in sourcePosition
+            // Cattura stato attuale in source*, target* punta alle texture già pronte del morph target
             captureCurrentState();
+            morphState.setTarget(target);
+            shaderMaterial.uniforms.uStagger.value = config.stagger;
 
-            // Imposta targetPosition con morph target
-            targetAttr.array.set(morphTargets[ambito]);
-            targetAttr.needsUpdate = true;
-
-            // Reset e anima 0 → 1 (turbolenza si spegne)
+            // Reset e anima 0 → 1 (turbolenza si spegne), fase per fase
             shaderMaterial.uniforms.uTransition.value = 0.0;
-            gsap.to(shaderMaterial.uniforms.uTransition, {
-                value: 1.0,
-                duration: 1.5,
-                ease: "expo.out"
-            });
+            playChoreography(config.choreography, config.transition, true);
         } else {
             // === RITORNO ALLA SFERA (CRITICO) ===
-            // Calcola manualmente posizione attuale e salvala in targetPosition
-            for (let i = 0; i < COUNT * 3; i++) {
-                targetAttr.array[i] = sourceAttr.array[i] * (1 - currentT) + targetAttr.array[i] * currentT;
-            }
-            targetAttr.needsUpdate = true;
+            // Anche lo stato "pending" attende sulla sfera, con turbolenza intensificata
+            // Calcola lo stato attuale (coreografia inclusa) e salvalo in target*
+            captureVisibleState('target');
 
-            // Imposta sourcePosition con la sfera originale
-            sourceAttr.array.set(basePositions);
-            sourceAttr.needsUpdate = true;
+            // Imposta source* con la sfera originale
+            morphState.setSource(morphState.base);
 
             // Forza uTransition a 1.0 e anima verso 0.0 (turbolenza si riattiva)
             shaderMaterial.uniforms.uTransition.value = 1.0;
-            gsap.to(shaderMaterial.uniforms.uTransition, {
-                value: 0.0,
-                duration: 1.8,
-                ease: "power4.out"
+            playChoreography(sphereConfig.choreography, sphereConfig.transition, false);
+        }
+    }
+
+    /**
+     * Chiamata quando un target (o il manifest) arriva: se lo stato richiesto
+     * era in attesa, ora può morphare (o tornare quieto se il target è fallito)
+     */
+    function onTargetSettled() {
+        if (isPending && resolveTarget(requestedState).status !== 'pending') {
+            applyState(requestedState);
+        }
+    }
+
+    // --- EVENT LISTENER: aoxStateChange ---
+    // detail: { ambito, variant? } - variant selects an alternate bake declared in the manifest
+    const onStateChange = (e) => {
+        const { ambito, variant } = e.detail;
+        console.log(`[AOX] Scena 3D: Ricevuto comando per ambito ${ambito}${variant ? ` (variante ${variant})` : ''}`);
+
+        requestedState = ambito ? { ambito, variant } : null;
+        applyState(requestedState);
+    };
+    window.addEventListener('aoxStateChange', onStateChange);
+
+    // --- POINTER FIELD (vltMouseMove) ---
+    // Nessun cursore da seguire senza un puntatore preciso (device profile): il campo resta spento
+    const isTouchDevice = DeviceProfile.get().pointer !== 'fine';
+    let pointerConfig = { ...DEFAULT_POINTER };
+    const pointer = {
+        ndc: new THREE.Vector2(),        // Cursore in NDC del canvas AOX
+        smoothed: new THREE.Vector2(),   // Punto d'impatto che insegue il cursore
+        active: false,
+        influence: 0,
+        velocity: 0
+    };
+    const pointerInverse = new THREE.Matrix4();
+    const pointerRayDir = new THREE.Vector3();
+
+    const onMouseMove = (e) => {
+        const { x, y, active = true } = e.detail;
+
+        // vltMouseMove è normalizzato sulla finestra: riportalo al canvas AOX
+        const rect = view.canvas.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return;
+        const clientX = ((x + 1) / 2) * window.innerWidth;
+        const clientY = ((1 - y) / 2) * window.innerHeight;
+        pointer.ndc.set(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        pointer.active = active && Math.abs(pointer.ndc.x) <= 1 && Math.abs(pointer.ndc.y) <= 1;
+    };
+    if (!isTouchDevice) window.addEventListener('vltMouseMove', onMouseMove);
+
+    function updatePointerField(dt) {
+        const uniforms = shaderMaterial.uniforms;
+        const target = !isTouchDevice && pointerConfig.enabled && pointer.active ? 1 : 0;
+
+        // Molla sottosmorzata: le particelle vengono spinte e poi rimbalzano al loro posto
+        pointer.velocity += (target - pointer.influence) * POINTER_SPRING_STIFFNESS * dt;
+        pointer.velocity *= Math.exp(-POINTER_SPRING_DAMPING * dt);
+        pointer.influence += pointer.velocity * dt;
+        pointer.smoothed.lerp(pointer.ndc, 1 - Math.exp(-POINTER_FOLLOW * dt));
+
+        uniforms.uPointerRadius.value = pointerConfig.radius;
+        uniforms.uPointerStrength.value = Math.max(0, pointer.influence) * pointerConfig.strength;
+        if (uniforms.uPointerStrength.value === 0) return;
+
+        // Raggio camera → cursore, portato nello spazio oggetto della nuvola (che ruota su Y)
+        pointerRayDir.set(pointer.smoothed.x, pointer.smoothed.y, 0.5).unproject(camera).sub(camera.position).normalize();
+        pointCloud.updateMatrixWorld();
+        pointerInverse.copy(pointCloud.matrixWorld).invert();
+        uniforms.uPointerOrigin.value.copy(camera.position).applyMatrix4(pointerInverse);
+        uniforms.uPointerDir.value.copy(pointerRayDir).transformDirection(pointerInverse);
+    }
+
+    // --- MORPH TARGETS: Declared in data/aox/manifest.json, loaded in parallel ---
+    // Resolves with the validated manifest (attract mode and other consumers read it), null once disposed
+    async function loadMorphTargets() {
+        manifest = await loadAoxManifest('./data/aox/manifest.json');
+        if (isDisposed) return null;
+        const issues = [...manifest.issues];
+        ambitoConfig = new Map(manifest.ambiti.map(entry => [entry.id, entry]));
+        sphereConfig = manifest.sphere;
+        pointerConfig = manifest.pointer;
+
+        // Colore della sfera dal manifest: aggiorna la texture della sfera (subito visibile a riposo)
+        fillColor(baseColors, sphereConfig.color);
+        morphState.updateColors(morphState.base, baseColors);
+
+        if (manifest.count !== null && manifest.count !== COUNT) {
+            issues.push(`manifest: count ${manifest.count} does not match scene COUNT ${COUNT}`);
+        }
+
+        // Every declared file (base + variants) resolves to one morph target key
+        const targetFiles = [];
+        manifest.ambiti.forEach(entry => {
+            if (entry.points) {
+                targetFiles.push({ key: morphKey(entry.id), file: entry.points, color: entry.color });
+            }
+            entry.variants.forEach(variant => {
+                targetFiles.push({ key: morphKey(entry.id, variant.id), file: variant.points, color: entry.color });
             });
+        });
+        targetFiles.forEach(({ key }) => targetStatus.set(key, 'loading'));
+        onTargetSettled();
+
+        await Promise.all(targetFiles.map(async ({ key, file, color }) => {
+            const bake = await loadAoxBake(`${manifest.baseUrl}${file}`);
+            // Scena smontata durante il download: nessuna texture per un morphState già liberato
+            if (isDisposed) return;
+            if (!bake) {
+                issues.push(`${key}: file "${file}" not found (.aox / .json)`);
+                targetStatus.set(key, 'failed');
+            } else if (bake.count !== COUNT) {
+                issues.push(`${key}: ${bake.source} has ${bake.count} points, expected ${COUNT}`);
+                targetStatus.set(key, 'failed');
+            } else {
+                // Texture caricate una volta sola: il cambio di ambito sposta solo i puntatori
+                // (canali opzionali: colore manifest / dimensione 1.0)
+                let colors = bake.colors;
+                if (!colors) {
+                    colors = new Float32Array(COUNT * 3);
+                    fillColor(colors, color);
+                }
+                morphTargets[key] = morphState.createState(bake.positions, colors, bake.sizes, groupRanks(bake.groups));
+                targetStatus.set(key, 'ready');
+            }
+            onTargetSettled();
+        }));
+        if (isDisposed) return null;
+
+        // Cross-check the DOM tiles against the manifest
+        const tileIds = new Set();
+        document.querySelectorAll('.aox-tile[data-ambito]').forEach(tile => {
+            const id = tile.dataset.ambito;
+            tileIds.add(id);
+            if (!ambitoConfig.has(id)) {
+                issues.push(`${id}: data-ambito tile has no manifest entry`);
+            } else if (!morphTargets[morphKey(id)]) {
+                issues.push(`${id}: data-ambito tile has no morph target, it will keep the sphere`);
+            }
+        });
+        manifest.ambiti.forEach(entry => {
+            if (!tileIds.has(entry.id)) issues.push(`${entry.id}: manifest entry has no data-ambito tile`);
+        });
+
+        // One summary instead of a log line per file
+        const loadedKeys = Object.keys(morphTargets);
+        if (issues.length > 0) {
+            console.warn(`[AOX] Manifest: ${loadedKeys.length}/${targetFiles.length} morph target(s) loaded [${loadedKeys.join(', ')}], ${issues.length} issue(s):\n - ${issues.join('\n - ')}`);
+        } else {
+            console.log(`[AOX] Manifest: ${loadedKeys.length} morph target(s) loaded [${loadedKeys.join(', ')}]`);
         }
-    });
 
-    // --- RESIZE ---
-    ResizeManager.subscribe(() => {
-        if (!container) return;
+        return manifest;
+    }
+
+    // --- RESIZE (driven by the scene registry) ---
+    function resize() {
         const width = container.clientWidth;
         const height = container.clientHeight;
         const aspect = width / height;
@@ -283,35 +467,136 @@ export async function initAoxCore(containerElement) {
 
         camera.aspect = aspect;
         camera.updateProjectionMatrix();
-        renderer.setSize(width, height);
-    });
+        view.setSize(width, height);
+    }
+
+    // --- CONTEXT RESTORE ---
+    // Attributi e DataTexture hanno la copia CPU: basta ricaricarli. Le render target delle catture
+    // invece sono perse: la nuvola riparte dallo stato d'arrivo della richiesta corrente, a coreografia ferma
+    function restoreGpuState() {
+        stopChoreography();
+        Object.values(geometry.attributes).forEach(attribute => { attribute.needsUpdate = true; });
+        Object.values(morphTargets).forEach(target => {
+            target.position.needsUpdate = true;
+            target.color.needsUpdate = true;
+        });
+
+        const uniforms = shaderMaterial.uniforms;
+        const resolved = resolveTarget(requestedState);
+        uniforms.uScatter.value = 0.0;
+        uniforms.uSwirl.value = 0.0;
+        if (resolved.status === 'ready') {
+            morphState.restore(morphState.base, resolved.target);
+            uniforms.uStagger.value = resolved.config.stagger;
+            uniforms.uTransition.value = 1.0;
+        } else {
+            morphState.restore(morphState.base, morphState.base);
+            uniforms.uStagger.value = 0.0;
+            uniforms.uTransition.value = 0.0;
+        }
+        console.log('[AOX] GPU state rebuilt after context restore');
+    }
 
     // --- ANIMATION LOOP ---
+    let lastFrameTime = performance.now();
+    const frameGate = MotionPolicy.createFrameGate();
+
     function animate() {
         if (!isRunning) return;
         rafId = requestAnimationFrame(animate);
 
-        // Update uTime uniform for shader breathing effect
-        shaderMaterial.uniforms.uTime.value = performance.now() * 0.001;
+        const now = performance.now();
+        if (!frameGate(now)) return;
+        // Reduced motion: idle rate, turbulence and spin frozen, the pointer field still answers
+        const reduced = MotionPolicy.reduced;
+        if (!reduced) QualityGovernor.frame('aox', now);
+        const dt = Math.min(0.05, (now - lastFrameTime) * 0.001);
+        lastFrameTime = now;
+
+        if (!reduced) {
+            // Update uTime uniform for shader breathing effect
+            shaderMaterial.uniforms.uTime.value = now * 0.001;
+
+            // Ultra-slow Y rotation
+            pointCloud.rotation.y += 0.002;
+        }
 
-        // Ultra-slow Y rotation
-        pointCloud.rotation.y += 0.002;
+        updatePointerField(dt);
 
-        renderer.render(scene, camera);
+        view.render(() => renderer.render(scene, camera));
     }
 
+    // Pose deterministica al tempo dato (poster): stato corrente, nessun cursore, rotazione a 60 fps
+    function renderStill(time) {
+        pointer.influence = 0;
+        pointer.velocity = 0;
+        shaderMaterial.uniforms.uPointerStrength.value = 0;
+        shaderMaterial.uniforms.uTime.value = time;
+        pointCloud.rotation.y = time * 0.002 * 60;
+
+        view.render(() => renderer.render(scene, camera));
+        return view.canvas;
+    }
+
+    function resumeLoop() {
+        if (isRunning || view.isContextLost()) return;
+        isRunning = true;
+        lastFrameTime = performance.now();
+        animate();
+    }
+
+    function pauseLoop() {
+        isRunning = false;
+        if (rafId) cancelAnimationFrame(rafId);
+        rafId = null;
+    }
+
+    // --- FIRST FRAME ---
+    // Compila lo shader e disegna la sfera subito: da qui la scena è "drawable"
+    view.render(() => renderer.render(scene, camera));
+
+    // Target in background: la sfera non aspetta i dati
+    const targetsLoaded = loadMorphTargets().catch(err => {
+        console.error('[AOX] Morph target loading failed:', err);
+    });
+
     return {
+        targetsLoaded,
         start: () => {
-            if (isRunning) return;
-            isRunning = true;
-            animate();
+            if (isActive) return;
+            isActive = true;
+            resumeLoop();
             console.log('[AOX] Scene started');
         },
         stop: () => {
-            isRunning = false;
-            if (rafId) cancelAnimationFrame(rafId);
-            rafId = null;
+            isActive = false;
+            pauseLoop();
             console.log('[AOX] Scene stopped');
+        },
+        resize,
+        renderStill,
+        dispose: () => {
+            isDisposed = true;
+            isActive = false;
+            pauseLoop();
+            unregisterQuality();
+            unsubscribeMotion();
+            stopChoreography();
+            gsap.killTweensOf(shaderMaterial.uniforms.uPending);
+            window.removeEventListener('aoxStateChange', onStateChange);
+            window.removeEventListener('vltMouseMove', onMouseMove);
+
+            // Le texture dei morph target sono nostre (createState), quelle interne di morphState no
+            Object.values(morphTargets).forEach(target => {
+                target.position.dispose();
+                target.color.dispose();
+            });
+            morphState.dispose();
+            geometry.dispose();
+            shaderMaterial.dispose();
+            view.dispose();
+
+            console.log('[AOX] Scene disposed');
         }
     };
 }
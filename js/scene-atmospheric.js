@@ -4,7 +4,29 @@ import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import ResizeManager from './resize-manager.js';
+import SharedRenderer from './shared-renderer.js';
+import QualityGovernor, { setComposerSamples, setShadowMapSize } from './quality-governor.js';
+import DeviceProfile from './device-profile.js';
+import MotionPolicy from './motion-policy.js';
+
+// Poster shown by main.js when the scene can't run (captured with tools/poster-capture.html)
+export const ATMOSPHERIC_POSTER = {
+    image: './assets/posters/atmospheric.webp',
+    time: 6.0,
+    label: 'VOLTERA // ATMOSPHERE'
+};
+
+/**
+ * Fades out and removes the page loader (#loader). Idempotent: the hero and main.js
+ * (hero poster shown instead of the scene) may both call it.
+ */
+export function removeLoader() {
+    const loaderEl = document.getElementById('loader');
+    if (!loaderEl || loaderEl.dataset.removing) return;
+    loaderEl.dataset.removing = 'true';
+    loaderEl.style.opacity = '0';
+    setTimeout(() => loaderEl.remove(), 500);
+}
 
 /**
  * Atmospheric Hero Scene (Pyramid)
@@ -18,6 +40,14 @@ export function initAtmosphericHero(containerElement) {
     const POS_TARGET = { x: 0, y: 4.5, z: 0 };
     const MAX_ANGLE_DEGREES = 99;
 
+    // Knobs per QualityGovernor level (ultra = the original fidelity)
+    const QUALITY = {
+        low: { pixelRatio: 1.0, msaa: 0, bloomScale: 0.5, shadowSize: 256 },
+        medium: { pixelRatio: 1.5, msaa: 2, bloomScale: 0.5, shadowSize: 512 },
+        high: { pixelRatio: 2.0, msaa: 4, bloomScale: 1.0, shadowSize: 1024 },
+        ultra: { pixelRatio: 2.0, msaa: 8, bloomScale: 1.0, shadowSize: 1024 }
+    };
+
     // Mesh configuration for hero-mesh.glb
     const MESH_CONFIG = {
         deer: {
@@ -39,10 +69,11 @@ export function initAtmosphericHero(containerElement) {
 
 
     // --- VARIABLES ---
-    let scene, camera, renderer, composer, controls;
+    let scene, camera, view, renderer, composer, controls;
     let pyramidGroup, ring, floatingObj, atmosphere;
     let internalLight, ambient;
     let isRunning = false;
+    let isActive = false; // Requested by start/stop: survives a context loss
     let rafId = null;
 
     // Particle system variables
@@ -58,14 +89,20 @@ export function initAtmosphericHero(containerElement) {
     const MAGNETIC_STRENGTH = 2.5; // Base influence strength
     const MAX_OFFSET = 3.5; // Clamp: prevent satellite from escaping too far
 
+    const container = containerElement;
+    if (!container) return null;
+
+    if (!DeviceProfile.get().features.webgl) {
+        console.warn('[Atmospheric] WebGL not available. Scene disabled.');
+        return null;
+    }
+
     // Event listener for mouse position
-    window.addEventListener('vltMouseMove', (e) => {
+    const onMouseMove = (e) => {
         mouseX = e.detail.x;
         mouseY = e.detail.y;
-    });
-
-    const container = containerElement;
-    if (!container) return;
+    };
+    window.addEventListener('vltMouseMove', onMouseMove);
 
     scene = new THREE.Scene();
     scene.background = new THREE.Color(0x000000);
@@ -73,22 +110,26 @@ export function initAtmosphericHero(containerElement) {
     camera = new THREE.PerspectiveCamera(40, window.innerWidth / window.innerHeight, 0.1, 1000);
     camera.position.set(POS_CAMERA.x, POS_CAMERA.y, POS_CAMERA.z);
 
-    // Detect mobile early for all optimizations
-    const isMobile = window.innerWidth < 768;
-
-    renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, powerPreference: "high-performance" });
-    // Clamp pixel ratio to reduce GPU load on high-DPI devices (mobile: max 1.5, desktop: max 2.0)
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, isMobile ? 1.5 : 2.0));
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.toneMapping = THREE.ACESFilmicToneMapping;
-    renderer.toneMappingExposure = 1.0;
-    renderer.shadowMap.enabled = true;
-    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-    // Enable better color accuracy and dithering support
-    renderer.outputColorSpace = THREE.SRGBColorSpace;
-    container.appendChild(renderer.domElement);
-
-    controls = new OrbitControls(camera, renderer.domElement);
+    // View of the shared renderer: our own canvas, our own renderer settings
+    view = SharedRenderer.createView(container, {
+        // Clamp pixel ratio to reduce GPU load on high-DPI devices (the quality level lowers it further)
+        pixelRatio: Math.min(window.devicePixelRatio, 2.0),
+        toneMapping: THREE.ACESFilmicToneMapping,
+        toneMappingExposure: 1.0,
+        shadowMap: { enabled: true, type: THREE.PCFSoftShadowMap },
+        // Enable better color accuracy and dithering support
+        outputColorSpace: THREE.SRGBColorSpace,
+        onContextLost: () => pauseLoop(),
+        // Geometries, GLB textures and shadow maps come back from their CPU copies (three re-uploads them),
+        // the composer targets are re-created on the next frame: resuming is enough
+        onContextRestored: () => {
+            if (isActive) resumeLoop();
+        }
+    });
+    view.setSize(window.innerWidth, window.innerHeight);
+    renderer = view.renderer;
+
+    controls = new OrbitControls(camera, view.canvas);
     controls.enableDamping = true;
     controls.dampingFactor = 0.05;
     controls.enablePan = false;
@@ -97,11 +138,13 @@ export function initAtmosphericHero(containerElement) {
     controls.maxPolarAngle = (Math.PI / 180) * MAX_ANGLE_DEGREES;
     controls.minPolarAngle = 0;
 
-    // Mobile: Disable controls to allow native scroll
-    if (window.innerWidth <= 1024) {
-        controls.enabled = false;
-        renderer.domElement.style.touchAction = 'auto';
+    // Touch / no pointer: Disable controls to allow native scroll
+    function updateControls() {
+        const enabled = DeviceProfile.get().features.orbitControls;
+        controls.enabled = enabled;
+        view.canvas.style.touchAction = enabled ? 'none' : 'auto';
     }
+    updateControls();
 
     const renderScene = new RenderPass(scene, camera);
     const bloomPass = new UnrealBloomPass(new THREE.Vector2(window.innerWidth, window.innerHeight), 1.5, 0.4, 0.85);
@@ -110,11 +153,11 @@ export function initAtmosphericHero(containerElement) {
     bloomPass.radius = 0.5;
 
     // MSAA Render Target (Hardware Antialiasing)
-    // IMPORTANT: Use renderer.getPixelRatio() to render at full device resolution (e.g. Retina)
-    const pixelRatio = renderer.getPixelRatio();
+    // IMPORTANT: Use the view pixel ratio to render at full device resolution (e.g. Retina)
+    const pixelRatio = view.getPixelRatio();
 
-    // Disable MSAA on mobile to prevent WebGL context loss (memory crash)
-    const msaaSamples = isMobile ? 0 : 8;
+    // Full MSAA until the quality level is applied (weak devices get 0: memory crash / context loss)
+    const msaaSamples = QUALITY.ultra.msaa;
 
     const renderTarget = new THREE.WebGLRenderTarget(
         window.innerWidth * pixelRatio,
@@ -122,13 +165,15 @@ export function initAtmosphericHero(containerElement) {
         {
             type: THREE.HalfFloatType,
             format: THREE.RGBAFormat,
-            samples: msaaSamples, // Conditional: 0 on mobile, 8 on desktop
+            samples: msaaSamples, // Lowered by applyQuality
             depthBuffer: true,
             stencilBuffer: false
         }
     );
 
     composer = new EffectComposer(renderer, renderTarget);
+    // The shared renderer works in device pixels (ratio 1): the composer keeps the view ratio
+    composer.setPixelRatio(pixelRatio);
     // Ensure composer knows it's working with scaled buffers if needed, 
     // but manually setting size is explicit.
     composer.setSize(window.innerWidth * pixelRatio, window.innerHeight * pixelRatio);
@@ -287,8 +332,8 @@ export function initAtmosphericHero(containerElement) {
 
 
     // Lights & Objects
-    // Use lower shadow resolution on mobile to reduce GPU memory usage
-    const shadowResolution = isMobile ? 512 : 1024;
+    // Full shadow resolution here, applyQuality lowers it on the weaker levels
+    const shadowResolution = QUALITY.ultra.shadowSize;
     internalLight = new THREE.PointLight(0xffffff, 1500, 25);
     internalLight.position.set(0, POS_PYRAMID.y, 0);
     internalLight.castShadow = true;
@@ -522,43 +567,71 @@ export function initAtmosphericHero(containerElement) {
         particleGeometry.attributes.alpha.needsUpdate = true;
     }
 
-    // Resize
-    ResizeManager.subscribe(() => {
-        camera.aspect = window.innerWidth / window.innerHeight;
-        camera.updateProjectionMatrix();
-        renderer.setSize(window.innerWidth, window.innerHeight);
+    // --- QUALITY (QualityGovernor) ---
+    let quality = QUALITY.ultra;
+
+    function resizeComposer() {
         // Resize composer to match device resolution
-        const pixelRatio = renderer.getPixelRatio();
+        const pixelRatio = view.getPixelRatio();
         composer.setSize(window.innerWidth * pixelRatio, window.innerHeight * pixelRatio);
-
-        // Responsive Controls
-        if (window.innerWidth <= 1024) {
-            controls.enabled = false;
-            renderer.domElement.style.touchAction = 'auto';
-        } else {
-            controls.enabled = true;
-            renderer.domElement.style.touchAction = 'none';
+        // Bloom at reduced resolution on the lower levels (composer.setSize just reset it to full)
+        if (quality.bloomScale !== 1) {
+            const bloomRatio = pixelRatio * pixelRatio * quality.bloomScale;
+            bloomPass.setSize(window.innerWidth * bloomRatio, window.innerHeight * bloomRatio);
         }
+    }
+
+    function applyQuality(level) {
+        quality = QUALITY[level];
+        // Weak devices are held on the lower levels by the DeviceProfile ceiling (see main.js)
+        view.setPixelRatio(Math.min(window.devicePixelRatio, quality.pixelRatio));
+        composer.setPixelRatio(view.getPixelRatio());
+        setComposerSamples(composer, quality.msaa);
+        setShadowMapSize(internalLight, quality.shadowSize);
+        resizeComposer();
+    }
+
+    const unregisterQuality = QualityGovernor.register('atmospheric', applyQuality);
+
+    // Resize (driven by the scene registry)
+    function resize() {
+        camera.aspect = window.innerWidth / window.innerHeight;
+        camera.updateProjectionMatrix();
+        view.setSize(window.innerWidth, window.innerHeight);
+        resizeComposer();
+
+        // Pointer can change (tablet + mouse, devtools emulation)
+        updateControls();
 
         particleSystem.visible = false;
-    });
+    }
 
     // Initial particle visibility (inverse of GLB: visible only < 1024px)
     // Initial particle visibility (permanent false)
     particleSystem.visible = false;
 
     // Remove Loader
-    setTimeout(() => {
-        const loaderEl = document.getElementById('loader');
-        if (loaderEl) { loaderEl.style.opacity = '0'; setTimeout(() => loaderEl.remove(), 500); }
-    }, 800);
+    setTimeout(removeLoader, 800);
 
     // Animate
+    const frameGate = MotionPolicy.createFrameGate();
+
     function animate() {
         if (!isRunning) return;
         rafId = requestAnimationFrame(animate);
 
-        const time = performance.now() * 0.001;
+        const now = performance.now();
+        if (!frameGate(now)) return;
+
+        // Reduced motion: still frame at the idle rate, only the orbit drag answers (and no governor samples)
+        if (MotionPolicy.reduced) {
+            controls.update();
+            view.render(() => composer.render());
+            return;
+        }
+
+        QualityGovernor.frame('atmospheric', now);
+        const time = now * 0.001;
         controls.update();
 
         // --- MAGNETIC CURSOR OFFSET ---
@@ -607,21 +680,75 @@ export function initAtmosphericHero(containerElement) {
         // Update particle system
         updateParticles(time);
 
-        composer.render();
+        view.render(() => composer.render());
+    }
+
+    // Pose deterministica al tempo dato (poster): camera di partenza, cursore al centro,
+    // le rotazioni per frame del loop convertite a 60 fps
+    function renderStill(time) {
+        camera.position.set(POS_CAMERA.x, POS_CAMERA.y, POS_CAMERA.z);
+        controls.target.set(POS_TARGET.x, POS_TARGET.y, POS_TARGET.z);
+        controls.update();
+
+        currentOffsetX = currentOffsetY = currentOffsetZ = 0;
+        prevOffsetX = prevOffsetZ = 0;
+        floatingObj.position.set(
+            Math.sin(time * 0.4) * 5,
+            POS_PYRAMID.y + 1.5 + Math.sin(time * 1.5) * 1,
+            Math.cos(time * 0.4) * 5
+        );
+        floatingObj.rotation.set(0, time * 0.03 * 60, 0);
+        pyramidGroup.rotation.y = POS_PYRAMID.rotY + time * 0.002 * 60;
+        pyramidGroup.position.y = POS_PYRAMID.y + Math.sin(time * 0.5) * 0.3;
+        updateParticles(time);
+
+        view.render(() => composer.render());
+        return view.canvas;
+    }
+
+    function resumeLoop() {
+        if (isRunning || view.isContextLost()) return;
+        isRunning = true;
+        animate();
+    }
+
+    function pauseLoop() {
+        isRunning = false;
+        if (rafId) cancelAnimationFrame(rafId);
+        rafId = null;
     }
 
     return {
         start: () => {
-            if (isRunning) return;
-            isRunning = true;
-            animate();
+            if (isActive) return;
+            isActive = true;
+            resumeLoop();
             console.log('[Atmospheric] Scene started');
         },
         stop: () => {
-            isRunning = false;
-            if (rafId) cancelAnimationFrame(rafId);
-            rafId = null;
+            isActive = false;
+            pauseLoop();
             console.log('[Atmospheric] Scene stopped');
+        },
+        resize,
+        renderStill,
+        dispose: () => {
+            isActive = false;
+            pauseLoop();
+            unregisterQuality();
+            window.removeEventListener('vltMouseMove', onMouseMove);
+            controls.dispose();
+
+            // Geometrie e materiali della scena (GLB incluso, se già arrivato)
+            scene.traverse(object => {
+                if (object.geometry) object.geometry.dispose();
+                if (object.material) [].concat(object.material).forEach(material => material.dispose());
+            });
+            bloomPass.dispose();
+            composer.dispose();
+            view.dispose();
+
+            console.log('[Atmospheric] Scene disposed');
         }
     };
 }
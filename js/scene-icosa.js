@@ -1,5 +1,6 @@
 import * as THREE from 'three';
-import ResizeManager from './resize-manager.js';
+import SharedRenderer from './shared-renderer.js';
+import DeviceProfile from './device-profile.js';
 
 /**
  * Spatial Module Hero Scene
@@ -8,10 +9,19 @@ import ResizeManager from './resize-manager.js';
  */
 export function initIcosahedronHero(containerElement) {
     const canvas = document.getElementById('hero-canvas-icosa');
-    if (!canvas) return;
+    if (!canvas) {
+        console.warn('[Icosa] Missing #hero-canvas-icosa. Scene disabled.');
+        return null;
+    }
+    if (!DeviceProfile.get().features.webgl) {
+        console.warn('[Icosa] WebGL not available. Scene disabled.');
+        return null;
+    }
 
-    const renderer = new THREE.WebGLRenderer({ canvas, alpha: true, antialias: true });
-    renderer.setSize(window.innerWidth, window.innerHeight);
+    // Shared renderer view drawing into the page's own canvas (pixel ratio 1, as before)
+    const view = SharedRenderer.createView(canvas.parentElement, { canvas, pixelRatio: 1 });
+    view.setSize(window.innerWidth, window.innerHeight);
+    const renderer = view.renderer;
     const scene = new THREE.Scene();
     const camera = new THREE.PerspectiveCamera(45, window.innerWidth / window.innerHeight, 0.1, 100);
     camera.position.z = 18;
@@ -134,19 +144,20 @@ export function initIcosahedronHero(containerElement) {
     // MOUSE INTERACTION
     // ═══════════════════════════════════════════════════════════════
     let mx = 0, my = 0;
-    window.addEventListener('mousemove', (e) => {
+    const onMouseMove = (e) => {
         mx = e.clientX - window.innerWidth / 2;
         my = e.clientY - window.innerHeight / 2;
-    });
+    };
+    window.addEventListener('mousemove', onMouseMove);
 
     // ═══════════════════════════════════════════════════════════════
-    // RESIZE CALLBACK
+    // RESIZE CALLBACK (driven by the scene registry)
     // ═══════════════════════════════════════════════════════════════
-    ResizeManager.subscribe(() => {
+    function resize() {
         camera.aspect = window.innerWidth / window.innerHeight;
         camera.updateProjectionMatrix();
-        renderer.setSize(window.innerWidth, window.innerHeight);
-    });
+        view.setSize(window.innerWidth, window.innerHeight);
+    }
 
     // ANIMATION: Asymmetric rotation + Breathing + Parallax
     // ═══════════════════════════════════════════════════════════════
@@ -168,7 +179,7 @@ export function initIcosahedronHero(containerElement) {
         spatialModule.position.x += (mx * 0.0008 - spatialModule.position.x) * 0.05;
         spatialModule.position.y += ((-my * 0.0008 - 2.5) - spatialModule.position.y) * 0.05;
 
-        renderer.render(scene, camera);
+        view.render(() => renderer.render(scene, camera));
     }
 
     return {
@@ -183,6 +194,21 @@ export function initIcosahedronHero(containerElement) {
             if (rafId) cancelAnimationFrame(rafId);
             rafId = null;
             console.log('[Icosa] Scene stopped');
+        },
+        resize,
+        dispose: () => {
+            isRunning = false;
+            if (rafId) cancelAnimationFrame(rafId);
+            rafId = null;
+            window.removeEventListener('mousemove', onMouseMove);
+
+            scene.traverse(object => {
+                if (object.geometry) object.geometry.dispose();
+                if (object.material) [].concat(object.material).forEach(material => material.dispose());
+            });
+            // Il canvas appartiene alla pagina: resta nel DOM
+            view.dispose();
+            console.log('[Icosa] Scene disposed');
         }
     };
 }
@@ -0,0 +1,102 @@
+import MotionPolicy from './motion-policy.js';
+
+/**
+ * Scene Posters
+ * Static stand-ins for the 3D sections, shown by main.js when a scene can't or shouldn't run
+ * (no WebGL, below the device profile, init failed).
+ *
+ * Every scene module declares its poster:
+ *   { image, video?, time, duration? }
+ * image - still frame captured at `time` seconds (tools/poster-capture.html, fixed camera)
+ * video - optional muted loop recorded from `time` for `duration` seconds; the image stays its
+ *         poster frame, and replaces it under reduced motion (switched live) or if it fails to load.
+ * label - optional caption of the CSS placeholder
+ * Files live in assets/posters/. If the image fails to load (network error) a CSS placeholder takes its
+ * place (.scene-poster--placeholder, the section's tone plus the label), never a broken image or an empty box.
+ */
+
+const POSTER_CLASS = 'scene-poster';
+const shown = new Map();   // container -> poster descriptor
+
+function createPlaceholder(poster) {
+    const placeholder = document.createElement('div');
+    placeholder.className = `${POSTER_CLASS} ${POSTER_CLASS}--placeholder`;
+    placeholder.setAttribute('aria-hidden', 'true');
+    if (poster.label) placeholder.dataset.label = poster.label;
+    return placeholder;
+}
+
+function createImage(poster) {
+    const img = document.createElement('img');
+    img.className = POSTER_CLASS;
+    img.src = poster.image;
+    img.alt = '';
+    img.decoding = 'async';
+    // Immagine non caricata (errore di rete): resta il placeholder CSS
+    img.addEventListener('error', () => {
+        if (img.parentNode) img.replaceWith(createPlaceholder(poster));
+    }, { once: true });
+    return img;
+}
+
+function createVideo(poster) {
+    const video = document.createElement('video');
+    video.className = POSTER_CLASS;
+    video.src = poster.video;
+    video.poster = poster.image;
+    video.muted = true;
+    video.loop = true;
+    video.autoplay = true;
+    video.playsInline = true;
+    video.setAttribute('aria-hidden', 'true');
+    // Video mancante o formato non supportato: resta l'immagine
+    video.addEventListener('error', () => {
+        if (video.parentNode) video.replaceWith(createImage(poster));
+    }, { once: true });
+    return video;
+}
+
+function render(container, poster) {
+    const previous = container.querySelector(`:scope > .${POSTER_CLASS}`);
+    const element = poster.video && !MotionPolicy.reduced
+        ? createVideo(poster)
+        : createImage(poster);
+
+    if (previous) previous.replaceWith(element);
+    else container.appendChild(element);
+}
+
+// Reduced motion cambiato: i poster video diventano immagini (e viceversa)
+MotionPolicy.subscribe(() => {
+    shown.forEach((poster, container) => {
+        if (poster.video) render(container, poster);
+    });
+});
+
+/**
+ * Shows a scene poster inside its container (idempotent)
+ * @param {HTMLElement} container - The scene container
+ * @param {{image: string, video?: string, time: number, duration?: number, label?: string}} poster
+ */
+function show(container, poster) {
+    if (!container || !poster || shown.get(container) === poster) return;
+    shown.set(container, poster);
+    render(container, poster);
+    container.classList.add('has-scene-poster');
+}
+
+/**
+ * Removes the poster of a container (the scene is running)
+ * @param {HTMLElement} container
+ */
+function hide(container) {
+    if (!container || !shown.has(container)) return;
+    shown.delete(container);
+    const element = container.querySelector(`:scope > .${POSTER_CLASS}`);
+    if (element) element.remove();
+    container.classList.remove('has-scene-poster');
+}
+
+const ScenePoster = { show, hide };
+
+export default ScenePoster;
@@ -0,0 +1,246 @@
+import ResizeManager from './resize-manager.js';
+
+/**
+ * Scene Registry
+ * One lifecycle contract for every 3D section, and the only place that watches their visibility.
+ *
+ * A scene is registered with an `init(element)` factory (sync or async) that returns a controller:
+ *   start()   - resumes the render loop (idempotent)
+ *   stop()    - pauses it (idempotent)
+ *   resize()  - re-reads the container size (driven by ResizeManager)
+ *   dispose() - frees GPU resources, listeners and the canvas
+ * or null when the scene can't run here (device gating, missing canvas, no float vertex textures...).
+ * Optional: renderStill(time) - draws a deterministic frame (fixed camera, `time` seconds) and returns
+ * the canvas, for tools/poster-capture.html; the posters stand in for unavailable / failed scenes.
+ *
+ * States: registered -> initializing -> ready <-> running, or unavailable / failed; disposed at the end.
+ * Every transition is dispatched on window as 'vltSceneLifecycle' with detail { id, state, previous, error }.
+ */
+
+export const SCENE_LIFECYCLE_EVENT = 'vltSceneLifecycle';
+
+const VISIBILITY_MARGIN = '0px 0px 200px 0px';   // Start slightly before entering viewport
+const LAZY_INIT_MARGIN = '0px 0px 500px 0px';    // Lazy scenes are built further ahead
+const CONTROLLER_METHODS = ['start', 'stop', 'resize', 'dispose'];
+
+const scenes = new Map();   // id -> entry
+let resizeSubscribed = false;
+
+function setState(entry, state, error = null) {
+    const previous = entry.state;
+    if (previous === state) return;
+    entry.state = state;
+    window.dispatchEvent(new CustomEvent(SCENE_LIFECYCLE_EVENT, {
+        detail: { id: entry.id, state, previous, error }
+    }));
+}
+
+// L'osservatore di visibilità resta attivo anche prima dell'init: uno scene async parte subito se già in vista
+function observeVisibility(entry) {
+    entry.visibilityObserver = new IntersectionObserver((records) => {
+        records.forEach(record => {
+            entry.visible = record.isIntersecting;
+            if (entry.visible) start(entry.id);
+            else stop(entry.id);
+        });
+    }, { rootMargin: VISIBILITY_MARGIN, threshold: 0 });
+    entry.visibilityObserver.observe(entry.element);
+}
+
+function observeApproach(entry, rootMargin) {
+    entry.lazyObserver = new IntersectionObserver((records) => {
+        if (records.some(record => record.isIntersecting)) init(entry.id);
+    }, { rootMargin, threshold: 0 });
+    entry.lazyObserver.observe(entry.element);
+}
+
+function disconnect(entry) {
+    if (entry.visibilityObserver) entry.visibilityObserver.disconnect();
+    if (entry.lazyObserver) entry.lazyObserver.disconnect();
+    entry.visibilityObserver = null;
+    entry.lazyObserver = null;
+}
+
+/**
+ * Registers a scene and schedules its init
+ * @param {string} id - Scene id (by convention the container id)
+ * @param {Object} options
+ * @param {HTMLElement} options.element - Container whose visibility drives start/stop
+ * @param {Function} options.init - (element) => controller | null | Promise<controller | null>
+ * @param {boolean} [options.lazy=false] - Init on approach instead of immediately
+ * @param {string} [options.initMargin] - rootMargin of the approach observer (lazy scenes)
+ * @returns {Promise<Object|null>} Resolves with the controller once initialized (null if unavailable or failed)
+ */
+function register(id, { element, init: factory, lazy = false, initMargin = LAZY_INIT_MARGIN }) {
+    const existing = scenes.get(id);
+    if (existing && existing.state !== 'disposed') {
+        console.warn(`[SceneRegistry] "${id}" is already registered`);
+        return existing.whenReady;
+    }
+
+    if (!resizeSubscribed) {
+        ResizeManager.subscribe(() => resize());
+        resizeSubscribed = true;
+    }
+
+    const entry = {
+        id,
+        element,
+        factory,
+        state: null,
+        controller: null,
+        visible: false,
+        initializing: false,
+        visibilityObserver: null,
+        lazyObserver: null
+    };
+    entry.whenReady = new Promise(resolve => { entry.resolveReady = resolve; });
+    scenes.set(id, entry);
+    setState(entry, 'registered');
+
+    if (!element) {
+        console.warn(`[SceneRegistry] "${id}": container not found, scene unavailable`);
+        setState(entry, 'unavailable');
+        entry.resolveReady(null);
+        return entry.whenReady;
+    }
+
+    observeVisibility(entry);
+    if (lazy) observeApproach(entry, initMargin);
+    else init(id);
+
+    return entry.whenReady;
+}
+
+/**
+ * Builds a registered scene now (lazy scenes call this on approach)
+ * @param {string} id
+ * @returns {Promise<Object|null>} Same promise returned by register
+ */
+function init(id) {
+    const entry = scenes.get(id);
+    if (!entry) return Promise.resolve(null);
+    if (entry.state !== 'registered' || entry.initializing) return entry.whenReady;
+
+    entry.initializing = true;
+    if (entry.lazyObserver) {
+        entry.lazyObserver.disconnect();
+        entry.lazyObserver = null;
+    }
+    setState(entry, 'initializing');
+
+    Promise.resolve()
+        .then(() => entry.factory(entry.element))
+        .then(controller => {
+            // Disposed while the init was in flight: throw the late controller away
+            if (entry.state === 'disposed') {
+                if (controller) controller.dispose();
+                return null;
+            }
+            if (!controller) {
+                disconnect(entry);
+                setState(entry, 'unavailable');
+                return null;
+            }
+
+            const missing = CONTROLLER_METHODS.filter(method => typeof controller[method] !== 'function');
+            if (missing.length > 0) {
+                throw new Error(`controller does not implement ${missing.join(', ')}`);
+            }
+
+            entry.controller = controller;
+            setState(entry, 'ready');
+
+            // Dimensioni rilette a canvas montato (lo showcase altrimenti resta nero al primo frame)
+            controller.resize();
+            if (entry.visible) start(id);
+            return controller;
+        })
+        .catch(error => {
+            console.error(`[SceneRegistry] "${id}" init failed:`, error);
+            if (entry.state === 'disposed') return null;
+            disconnect(entry);
+            entry.controller = null;
+            setState(entry, 'failed', error);
+            return null;
+        })
+        .then(controller => {
+            entry.initializing = false;
+            entry.resolveReady(controller);
+        });
+
+    return entry.whenReady;
+}
+
+/**
+ * Starts the render loop of a ready scene (visibility does this on its own)
+ * @param {string} id
+ */
+function start(id) {
+    const entry = scenes.get(id);
+    if (!entry || entry.state !== 'ready') return;
+    entry.controller.start();
+    setState(entry, 'running');
+}
+
+/**
+ * Pauses a running scene
+ * @param {string} id
+ */
+function stop(id) {
+    const entry = scenes.get(id);
+    if (!entry || entry.state !== 'running') return;
+    entry.controller.stop();
+    setState(entry, 'ready');
+}
+
+/**
+ * Resizes one scene, or every initialized scene when called without id (ResizeManager does this)
+ * @param {string} [id]
+ */
+function resize(id) {
+    const entries = id === undefined ? [...scenes.values()] : [scenes.get(id)].filter(Boolean);
+    entries.forEach(entry => {
+        if (entry.state === 'ready' || entry.state === 'running') entry.controller.resize();
+    });
+}
+
+/**
+ * Stops a scene, frees it and stops watching its container. The id can be registered again afterwards.
+ * @param {string} id
+ */
+function dispose(id) {
+    const entry = scenes.get(id);
+    if (!entry || entry.state === 'disposed') return;
+
+    stop(id);
+    disconnect(entry);
+    if (entry.controller) {
+        entry.controller.dispose();
+        entry.controller = null;
+    }
+    setState(entry, 'disposed');
+    if (!entry.initializing) entry.resolveReady(null);
+}
+
+/**
+ * @param {string} id
+ * @returns {string|null} Lifecycle state, null for unknown ids
+ */
+function state(id) {
+    const entry = scenes.get(id);
+    return entry ? entry.state : null;
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null} The scene controller once initialized
+ */
+function get(id) {
+    const entry = scenes.get(id);
+    return entry ? entry.controller : null;
+}
+
+const SceneRegistry = { register, init, start, stop, resize, dispose, state, get };
+
+export default SceneRegistry;
@@ -1,11 +1,20 @@
 import { CSS2DRenderer } from 'three/addons/renderers/CSS2DRenderer.js';
-import ResizeManager from './resize-manager.js';
+import QualityGovernor from './quality-governor.js';
+import DeviceProfile from './device-profile.js';
+import MotionPolicy from './motion-policy.js';
 import { createStage } from './showcase-modules/ShowcaseStage.js';
 import { ShowcaseFactory } from './showcase-modules/ShowcaseFactory.js';
 import { ShowcaseInteraction } from './showcase-modules/ShowcaseInteraction.js';
 import { ShowcaseCameraRig } from './showcase-modules/ShowcaseCameraRig.js';
 // gsap is assumed global
 
+// Poster shown by main.js when the scene can't run (captured with tools/poster-capture.html)
+export const SHOWCASE_POSTER = {
+    image: './assets/posters/showcase.webp',
+    time: 12.0,
+    label: 'PROJECT_ARCHIVE'
+};
+
 /**
  * Showcase "The Infinite Map" - Three.js Scene Module
  * Orchestrator: Centralizes Time, DOM injection, and Lifecycle Management.
@@ -23,7 +32,13 @@ export function initShowcaseMap(containerElement) {
     // Safety check
     if (!container || !section) {
         console.warn('[Showcase] Missing container or showcase section. Initialization aborted.');
-        return;
+        return null;
+    }
+
+    // Device gating: the heaviest scene of the page runs only from the 'high' tier up
+    if (!DeviceProfile.get().features.showcase) {
+        console.log('[Showcase] Device profile below the scene requirements. Initialization skipped.');
+        return null;
     }
 
     const uiConfig = {
@@ -35,12 +50,12 @@ export function initShowcaseMap(containerElement) {
 
     // --- STATE ---
     let isRunning = false;
+    let isActive = false; // Requested by start/stop: survives a WebGL context loss
     let rafId = null;
     let ctx = null; // GSAP Context for easy cleanup
 
     // --- MODULES (Placeholder refs) ---
     let stage, rig, interaction, factory, labelRenderer;
-    let resizeUnsubscribe;
 
     // --- INITIALIZATION WRAPPED IN CONTEXT ---
     // We use a small timeout or just immediate execution. 
@@ -50,7 +65,15 @@ export function initShowcaseMap(containerElement) {
 
     ctx = gsap.context(() => {
         // --- 2. STAGE ---
-        stage = createStage(uiConfig, { startZ: 20, cameraY: 2 });
+        stage = createStage(uiConfig, {
+            startZ: 20,
+            cameraY: 2,
+            onContextLost: () => pauseLoop(),
+            // Stage maps are re-uploaded by then; factory geometries/video textures need no rebuild
+            onContextRestored: () => {
+                if (isActive) resumeLoop();
+            }
+        });
 
         // --- 2.5 CAMERA RIG ---
         // The Rig takes ownership of the camera and acts as the pivot
@@ -82,6 +105,7 @@ export function initShowcaseMap(containerElement) {
         factory = new ShowcaseFactory(stage.scene, stage.renderer, {
             baseAssetPath: './assets/video/' // Centralized asset config
         });
+        factory.setMotionReduced(MotionPolicy.reduced);
 
         // --- ASYNC WIRING ---
         factory.build().then(data => {
@@ -92,20 +116,30 @@ export function initShowcaseMap(containerElement) {
 
     }); // End GSAP Context
 
+    // --- QUALITY ---
+    // The stage owns the knobs (pixel ratio, MSAA, bloom resolution, shadow map size)
+    const unregisterQuality = QualityGovernor.register('showcase', level => stage.applyQuality(level));
+
+    // --- MOTION POLICY ---
+    // Reduced motion: spins paused, flicker and spotlight breathing frozen, loop at the idle rate
+    const unsubscribeMotion = MotionPolicy.subscribe(reduced => factory.setMotionReduced(reduced));
+    const frameGate = MotionPolicy.createFrameGate();
+
     // --- RESIZE HANDLING ---
-    resizeUnsubscribe = ResizeManager.subscribe(() => {
-        if (!container) return;
+    // Driven by the scene registry: stage first, then labels and interaction
+    function resize() {
         const width = container.clientWidth;
         const height = container.clientHeight;
 
+        stage.resize();
+
         if (labelRenderer) {
             labelRenderer.setSize(width, height);
         }
 
         // Propagate down
         interaction.resize(width, height);
-        // Stage handles its own resize via subscription but we could manually trigger if we wanted strict order
-    });
+    }
 
     // --- ANIMATION LOOP ---
     // Deterministic Time
@@ -115,13 +149,17 @@ export function initShowcaseMap(containerElement) {
         if (!isRunning) return;
         rafId = requestAnimationFrame(animate);
 
+        if (!frameGate(timeRaw)) return;
+        const reduced = MotionPolicy.reduced;
+        if (!reduced) QualityGovernor.frame('showcase', timeRaw);
+
         // Convert to seconds
         const time = timeRaw * 0.001;
         const delta = time - lastTime;
         lastTime = time;
 
         // 0. Update Stage (Spotlight breathing, etc.)
-        stage.update(time);
+        if (!reduced) stage.update(time);
 
         // 1. Update Factory (Deterministic Vertex Anim & Logic)
         factory.update(time, delta);
@@ -133,7 +171,30 @@ export function initShowcaseMap(containerElement) {
         if (labelRenderer) {
             labelRenderer.render(stage.scene, stage.camera);
         }
-        stage.composer.render();
+        stage.view.render(() => stage.composer.render());
+    }
+
+    // Pose deterministica al tempo dato (poster): camera dallo scroll corrente, spin GSAP fermati a `time`
+    function renderStill(time) {
+        factory.seek(time);
+        stage.update(time);
+        stage.view.render(() => stage.composer.render());
+        return stage.view.canvas;
+    }
+
+    function resumeLoop() {
+        if (isRunning || stage.view.isContextLost()) return;
+        isRunning = true;
+        lastTime = performance.now() * 0.001; // Reset lastTime to avoid huge delta jump
+        animate(performance.now());
+    }
+
+    function pauseLoop() {
+        isRunning = false;
+        if (rafId) {
+            cancelAnimationFrame(rafId);
+            rafId = null;
+        }
     }
 
     console.log('[Showcase] Orchestrator initialized');
@@ -141,23 +202,24 @@ export function initShowcaseMap(containerElement) {
     // --- PUBLIC INTERFACE ---
     return {
         start: () => {
-            if (!isRunning) {
+            if (!isActive) {
                 console.log('[Showcase] Resumed');
-                isRunning = true;
-                lastTime = performance.now() * 0.001; // Reset lastTime to avoid huge delta jump
-                animate(performance.now());
+                isActive = true;
+                resumeLoop();
             }
         },
         stop: () => {
             console.log('[Showcase] Paused');
-            isRunning = false;
-            if (rafId) {
-                cancelAnimationFrame(rafId);
-                rafId = null;
-            }
+            isActive = false;
+            pauseLoop();
         },
+        resize,
+        renderStill,
         dispose: () => {
-            if (resizeUnsubscribe) resizeUnsubscribe();
+            isActive = false;
+            pauseLoop();
+            unregisterQuality();
+            unsubscribeMotion();
 
             // Reverse disposal
             interaction.dispose();
@@ -0,0 +1,225 @@
+import * as THREE from 'three';
+
+/**
+ * Shared Renderer
+ * One WebGLRenderer (one GPU context, one shader cache) for every 3D section of the page.
+ *
+ * Each scene gets a view: its own 2D <canvas> inside its container (layout, CSS and pointer
+ * events stay as they were), plus the renderer settings it used to own (pixel ratio, tone
+ * mapping, shadows, clear color). view.render(draw) binds those settings, lets the scene draw
+ * into the bottom-left corner of the shared offscreen buffer through a viewport/scissor of its
+ * size (composer chains included, they end on the screen framebuffer) and copies the result
+ * into the view canvas within the same frame.
+ *
+ * Cost: every view.render pays one drawImage of its region (canvas.width × canvas.height device
+ * pixels) on top of the draw, for every view, the largest included. With an accelerated 2D canvas
+ * it stays a GPU-side blit, but it is a full-frame copy per scene per frame (the hero at DPR 2 is
+ * the big one). The largest view can't show the shared canvas directly: the scenes run their own
+ * loops and all draw into the same bottom-left region, so the composited buffer would hold
+ * whichever scene drew last; the copy is also what keeps the frozen frame on context loss and
+ * what renderStill hands to the poster tool.
+ *
+ * WebGL context loss: the one context is shared, so the renderer forwards webglcontextlost /
+ * webglcontextrestored to every view. The view canvas is 2D and keeps the last copied frame:
+ * the container gets .scene-context-lost (dimmed frame, see style.css) while the scene pauses
+ * its loop, and on restore the scene rebuilds what three can't re-upload on its own.
+ */
+
+const DEFAULT_VIEW = {
+    pixelRatio: null,                         // null -> min(devicePixelRatio, 2)
+    toneMapping: THREE.NoToneMapping,
+    toneMappingExposure: 1.0,
+    outputColorSpace: THREE.SRGBColorSpace,
+    shadowMap: { enabled: false, type: THREE.PCFShadowMap },
+    clearColor: 0x000000,
+    clearAlpha: 0
+};
+
+let renderer = null;
+let contextLost = false;
+const views = new Set();
+const bufferSize = { width: 0, height: 0 };   // Device pixels of the shared drawing buffer
+
+// Registered after three's own listeners: on restore the renderer is already re-initialized
+function onContextLost() {
+    contextLost = true;
+    console.warn(`[SharedRenderer] WebGL context lost: ${views.size} scene(s) paused on their last frame`);
+    views.forEach(view => view.handleContextLost());
+}
+
+function onContextRestored() {
+    contextLost = false;
+    console.log('[SharedRenderer] WebGL context restored: rebuilding scenes');
+    views.forEach(view => view.handleContextRestored());
+}
+
+function getRenderer() {
+    if (!renderer) {
+        // Superset of the context attributes the scenes asked for (alpha for the transparent ones)
+        renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, powerPreference: 'high-performance' });
+        renderer.setPixelRatio(1);   // Views work in device pixels
+        renderer.domElement.addEventListener('webglcontextlost', onContextLost);
+        renderer.domElement.addEventListener('webglcontextrestored', onContextRestored);
+        contextLost = false;
+        console.log('[SharedRenderer] WebGL context created');
+    }
+    return renderer;
+}
+
+// Il buffer condiviso è grande quanto la view più grande: ridimensionato solo al resize, mai per frame
+function fitBuffer() {
+    let width = 1, height = 1;
+    views.forEach(view => {
+        width = Math.max(width, view.canvas.width);
+        height = Math.max(height, view.canvas.height);
+    });
+    if (width === bufferSize.width && height === bufferSize.height) return;
+
+    bufferSize.width = width;
+    bufferSize.height = height;
+    renderer.setSize(width, height, false);
+}
+
+/**
+ * Creates a view of the shared renderer inside a container
+ * @param {HTMLElement} container - Element that receives the view canvas
+ * @param {Object} [options]
+ * @param {HTMLCanvasElement} [options.canvas] - Existing canvas to draw into (left in the DOM on dispose)
+ * @param {number} [options.pixelRatio] - Defaults to min(devicePixelRatio, 2)
+ * @param {number} [options.toneMapping=THREE.NoToneMapping]
+ * @param {number} [options.toneMappingExposure=1]
+ * @param {string} [options.outputColorSpace=THREE.SRGBColorSpace]
+ * @param {{enabled: boolean, type: number}} [options.shadowMap]
+ * @param {number} [options.clearColor=0x000000]
+ * @param {number} [options.clearAlpha=0]
+ * @param {Function} [options.onContextLost] - Pause the render loop here
+ * @param {Function} [options.onContextRestored] - Rebuild GPU-only resources and resume here
+ * @returns {{renderer: THREE.WebGLRenderer, canvas: HTMLCanvasElement, setSize: Function,
+ *   getPixelRatio: Function, setPixelRatio: Function, getSize: Function, render: Function, isContextLost: Function, dispose: Function}}
+ */
+function createView(container, options = {}) {
+    const settings = { ...DEFAULT_VIEW, ...options, shadowMap: { ...DEFAULT_VIEW.shadowMap, ...options.shadowMap } };
+    let pixelRatio = settings.pixelRatio ?? Math.min(window.devicePixelRatio, 2);
+    const shared = getRenderer();
+
+    const ownsCanvas = !settings.canvas;
+    const canvas = settings.canvas || document.createElement('canvas');
+    canvas.style.display = 'block';
+    const context = canvas.getContext('2d');
+    if (ownsCanvas) container.appendChild(canvas);
+
+    const clearColor = new THREE.Color(settings.clearColor);
+    let width = 0, height = 0;
+    let disposed = false;
+
+    const view = {
+        renderer: shared,
+        canvas,
+
+        /**
+         * @param {number} cssWidth
+         * @param {number} cssHeight
+         */
+        setSize(cssWidth, cssHeight) {
+            width = cssWidth;
+            height = cssHeight;
+            canvas.width = Math.floor(cssWidth * pixelRatio);
+            canvas.height = Math.floor(cssHeight * pixelRatio);
+            canvas.style.width = `${cssWidth}px`;
+            canvas.style.height = `${cssHeight}px`;
+            fitBuffer();
+        },
+
+        getPixelRatio() {
+            return pixelRatio;
+        },
+
+        /**
+         * @param {number} value - Device pixels per CSS pixel (quality governor)
+         */
+        setPixelRatio(value) {
+            if (value === pixelRatio) return;
+            pixelRatio = value;
+            view.setSize(width, height);
+        },
+
+        getSize(target = new THREE.Vector2()) {
+            return target.set(width, height);
+        },
+
+        /**
+         * Binds the shared renderer to this view, runs the scene's draw call, copies the frame
+         * @param {Function} draw - (renderer) => void, e.g. composer.render() or renderer.render(scene, camera)
+         */
+        render(draw) {
+            // Context lost: nothing to draw, and the copy would wipe the frozen frame
+            if (disposed || contextLost || canvas.width === 0 || canvas.height === 0) return;
+
+            shared.setRenderTarget(null);
+            shared.setViewport(0, 0, canvas.width, canvas.height);
+            shared.setScissor(0, 0, canvas.width, canvas.height);
+            shared.setScissorTest(true);
+            shared.toneMapping = settings.toneMapping;
+            shared.toneMappingExposure = settings.toneMappingExposure;
+            shared.outputColorSpace = settings.outputColorSpace;
+            shared.shadowMap.enabled = settings.shadowMap.enabled;
+            shared.shadowMap.type = settings.shadowMap.type;
+            shared.setClearColor(clearColor, settings.clearAlpha);
+
+            draw(shared);
+
+            // GL ha l'origine in basso: la regione della view sta in fondo al buffer condiviso
+            context.globalCompositeOperation = 'copy';
+            context.drawImage(
+                shared.domElement,
+                0, bufferSize.height - canvas.height, canvas.width, canvas.height,
+                0, 0, canvas.width, canvas.height
+            );
+        },
+
+        isContextLost() {
+            return contextLost;
+        },
+
+        handleContextLost() {
+            container.classList.add('scene-context-lost');
+            if (settings.onContextLost) settings.onContextLost();
+        },
+
+        handleContextRestored() {
+            if (settings.onContextRestored) settings.onContextRestored();
+            container.classList.remove('scene-context-lost');
+        },
+
+        dispose() {
+            if (disposed) return;
+            disposed = true;
+            views.delete(view);
+            container.classList.remove('scene-context-lost');
+            if (ownsCanvas && canvas.parentNode) canvas.parentNode.removeChild(canvas);
+
+            // Last view gone: release the context
+            if (views.size === 0) {
+                renderer.domElement.removeEventListener('webglcontextlost', onContextLost);
+                renderer.domElement.removeEventListener('webglcontextrestored', onContextRestored);
+                renderer.dispose();
+                renderer = null;
+                bufferSize.width = 0;
+                bufferSize.height = 0;
+                console.log('[SharedRenderer] Renderer disposed');
+            } else {
+                fitBuffer();
+            }
+        }
+    };
+
+    views.add(view);
+    view.setSize(container.clientWidth, container.clientHeight);
+    // Created while the context is down: fallback until the restore
+    if (contextLost) container.classList.add('scene-context-lost');
+    return view;
+}
+
+const SharedRenderer = { createView };
+
+export default SharedRenderer;
@@ -0,0 +1,150 @@
+import { fetchProjectsData } from './showcase-modules/ShowcaseData.js';
+import MotionPolicy from './motion-policy.js';
+
+/**
+ * Showcase Mobile - Card Deck
+ * Touch-first stand-in for the monolith ring below the desktop layout (and on desktops whose profile
+ * rules the 3D ring out, see #showcase.is-deck in main.js): one card per project of
+ * data/projects.json, in ring order, swiped horizontally (native scroll-snap, no drag code).
+ * The centred card is the active one (mirrors the 3D lock-on: ref/status in the HUD, .is-active);
+ * tapping a card dispatches the same vltProjectSelect as a monolith click, so main.js opens the
+ * same ShowcaseUI dossier.
+ *
+ * Built on approach: a CSS-hidden container (3D ring running) never intersects, so it costs nothing there.
+ * If the data can't be loaded the placeholder markup stays.
+ * @param {HTMLElement} container - #showcase-mobile-container
+ * @returns {{dispose: Function}|null}
+ */
+export function initShowcaseMobile(container) {
+    if (!container) return null;
+
+    const BUILD_MARGIN = '0px 0px 500px 0px';   // Same lead as the lazy 3D showcase
+    const ACTIVE_THRESHOLD = 0.6;                // Card share inside the deck to count as centred
+
+    let deck = null;
+    let hudRef = null;
+    let hudStatus = null;
+    let dots = [];
+    let cards = [];
+    let activeObserver = null;
+    let disposed = false;
+
+    const pad = (n) => String(n).padStart(2, '0');
+
+    function createCard(project, index, count) {
+        const card = document.createElement('article');
+        card.className = 'showcase-card';
+        card.setAttribute('role', 'listitem');
+        card.dataset.projectId = project.id;
+        card.dataset.index = index;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'showcase-card__open';
+        button.setAttribute('aria-label', `Apri il dossier: ${project.title}`);
+
+        // Dati di progetto solo via textContent (come il dossier di ShowcaseUI)
+        [
+            ['index', `${pad(index + 1)} / ${pad(count)}`],
+            ['geometry', project.geometry],
+            ['title', project.title],
+            ['line', null],
+            ['meta', project.meta],
+            ['cta', 'OPEN DOSSIER']
+        ].forEach(([part, text]) => {
+            const span = document.createElement('span');
+            span.className = `showcase-card__${part}`;
+            span.textContent = text || '';
+            button.appendChild(span);
+        });
+        button.addEventListener('click', () => {
+            window.dispatchEvent(new CustomEvent('vltProjectSelect', { detail: { ...project } }));
+        });
+
+        card.appendChild(button);
+        return card;
+    }
+
+    function setActive(index, projects) {
+        cards.forEach((card, i) => card.classList.toggle('is-active', i === index));
+        dots.forEach((dot, i) => dot.setAttribute('aria-current', i === index ? 'true' : 'false'));
+        hudRef.textContent = projects[index].ref;
+        hudStatus.textContent = projects[index].status;
+    }
+
+    function scrollToCard(index) {
+        const card = cards[index];
+        deck.scrollTo({
+            left: card.offsetLeft - (deck.clientWidth - card.offsetWidth) / 2,
+            behavior: MotionPolicy.reduced ? 'auto' : 'smooth'
+        });
+    }
+
+    function build(projects) {
+        deck = document.createElement('div');
+        deck.className = 'showcase-mobile-deck';
+        deck.setAttribute('role', 'list');
+        cards = projects.map((project, index) => createCard(project, index, projects.length));
+        cards.forEach(card => deck.appendChild(card));
+
+        const hud = document.createElement('div');
+        hud.className = 'showcase-mobile-hud';
+        hud.innerHTML = `
+            <p class="showcase-mobile-label">PROJECT_ARCHIVE // ${pad(projects.length)}</p>
+            <span class="hud-ref"></span>
+            <span class="hud-status"></span>
+        `;
+        hudRef = hud.querySelector('.hud-ref');
+        hudStatus = hud.querySelector('.hud-status');
+
+        const pager = document.createElement('div');
+        pager.className = 'showcase-mobile-pager';
+        dots = projects.map((project, index) => {
+            const dot = document.createElement('button');
+            dot.type = 'button';
+            dot.className = 'showcase-mobile-pager__dot';
+            dot.setAttribute('aria-label', project.title);
+            dot.addEventListener('click', () => scrollToCard(index));
+            pager.appendChild(dot);
+            return dot;
+        });
+
+        container.innerHTML = '';
+        container.classList.add('is-ready');
+        container.append(hud, deck, pager);
+        setActive(0, projects);
+
+        // Carta centrata = attiva (lo scroll-snap la porta al centro)
+        activeObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) setActive(Number(entry.target.dataset.index), projects);
+            });
+        }, { root: deck, threshold: ACTIVE_THRESHOLD });
+        cards.forEach(card => activeObserver.observe(card));
+
+        console.log(`[ShowcaseMobile] Deck built with ${projects.length} projects`);
+    }
+
+    const approachObserver = new IntersectionObserver((entries) => {
+        if (!entries.some(entry => entry.isIntersecting)) return;
+        approachObserver.disconnect();
+
+        fetchProjectsData('data/projects.json')
+            .then(projects => {
+                if (disposed || projects.length === 0) return;
+                build(projects);
+            })
+            .catch(() => {
+                console.warn('[ShowcaseMobile] Projects unavailable, placeholder kept');
+            });
+    }, { rootMargin: BUILD_MARGIN, threshold: 0 });
+    approachObserver.observe(container);
+
+    return {
+        dispose: () => {
+            disposed = true;
+            approachObserver.disconnect();
+            if (activeObserver) activeObserver.disconnect();
+        }
+    };
+}
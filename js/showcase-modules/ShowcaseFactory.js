@@ -32,6 +32,8 @@ export class ShowcaseFactory {
         this.lightningGeometry = null;
         this.lightningMesh = null;
         this.monoliths = []; // Keep local reference for internal updates if needed
+        this.ambientTweens = []; // Endless spins, paused under reduced motion
+        this.motionReduced = false;
 
         // Animation States
         this.coreOscillation = null;
@@ -139,12 +141,12 @@ export class ShowcaseFactory {
                 // The prompt didn't explicitly ask to remove individual spin, only to rotate the ring.
                 // I'll keep it but perhaps slower or as is to maintain visual fidelity.
                 const direction = index % 2 === 0 ? 1 : -1;
-                gsap.to(monolith.rotation, {
+                this.addAmbientTween(gsap.to(monolith.rotation, {
                     y: `+=${Math.PI * 2 * direction}`,
                     duration: 90,
                     repeat: -1,
                     ease: "none"
-                });
+                }));
 
                 // Project Label
                 const labelData = this.createProjectLabel(project);
@@ -164,12 +166,34 @@ export class ShowcaseFactory {
         return result;
     }
 
+    /**
+     * Reduced motion: pauses the endless spins (built later ones start paused), update() stops the flicker.
+     * @param {boolean} reduced
+     */
+    setMotionReduced(reduced) {
+        this.motionReduced = reduced;
+        this.ambientTweens.forEach(tween => tween.paused(reduced));
+    }
+
+    /**
+     * Poses every animation at a fixed time (poster capture): spins paused there, core and lightning evaluated at it.
+     * @param {number} time - Seconds since the spins started.
+     */
+    seek(time) {
+        this.ambientTweens.forEach(tween => tween.pause().totalTime(time));
+        if (this.coreGeometry && this.coreOscillation) this.updateCoreOscillation(time);
+        if (this.lightningMesh && this.lightningState) this.updateLightning(time);
+    }
+
     /**
      * Updates internal animations. 
      * @param {number} time - Global time in seconds.
      * @param {number} delta - Delta time in seconds.
      */
     update(time, delta) {
+        // Reduced motion: core and lightning hold their last pose
+        if (this.motionReduced) return;
+
         // Monolith and Prop rotations are handled by GSAP now.
 
         // 1. Core Oscillation (Vertex Manipulation needs explicit frame update)
@@ -184,6 +208,9 @@ export class ShowcaseFactory {
     }
 
     dispose() {
+        this.ambientTweens.forEach(tween => tween.kill());
+        this.ambientTweens = [];
+
         // Dispose factory-managed resources
         this.disposables.forEach(resource => {
             if (resource.dispose) resource.dispose();
@@ -562,12 +589,17 @@ export class ShowcaseFactory {
         this.scene.add(this.propsGroup);
 
         // Props Rotation via GSAP
-        gsap.to(this.propsGroup.rotation, {
+        this.addAmbientTween(gsap.to(this.propsGroup.rotation, {
             y: "+=" + Math.PI * 2,
             duration: 100,
             repeat: -1,
             ease: "none"
-        });
+        }));
+    }
+
+    addAmbientTween(tween) {
+        if (this.motionReduced) tween.pause();
+        this.ambientTweens.push(tween);
     }
 
     updateCoreOscillation(time) {
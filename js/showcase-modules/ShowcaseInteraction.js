@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import MotionPolicy from '../motion-policy.js';
 // gsap is expected to be global
 
 export class ShowcaseInteraction {
@@ -306,10 +307,14 @@ export class ShowcaseInteraction {
                 edgeStrength: 2.5, duration: 0.6, ease: EASE_IGNITION, overwrite: true
             });
             if (monolith.userData.breathTimeline) monolith.userData.breathTimeline.kill();
-            monolith.userData.breathTimeline = gsap.timeline({ repeat: -1, yoyo: true });
-            monolith.userData.breathTimeline.to(monolith.scale, {
-                x: 1.05, y: 1.05, z: 1.05, duration: 2.0, ease: "sine.inOut", overwrite: 'auto'
-            });
+            monolith.userData.breathTimeline = null;
+            // Endless breathing only at full motion (the glow above is enough feedback)
+            if (!MotionPolicy.reduced) {
+                monolith.userData.breathTimeline = gsap.timeline({ repeat: -1, yoyo: true });
+                monolith.userData.breathTimeline.to(monolith.scale, {
+                    x: 1.05, y: 1.05, z: 1.05, duration: 2.0, ease: "sine.inOut", overwrite: 'auto'
+                });
+            }
         } else {
             if (this.outlinePass.selectedObjects[0] === monolith) {
                 gsap.to(this.outlinePass, {
@@ -356,6 +361,9 @@ export class ShowcaseInteraction {
         const sectionHeight = this.section.offsetHeight - window.innerHeight;
         const scrolled = -rect.top;
 
+        // Mobile layout: the section has no scroll track (the deck replaces the ring), keep the last pose
+        if (sectionHeight <= 0) return;
+
         // Clamp scroll progress [0, 1]
         this.scrollProgress = Math.max(0, Math.min(1, scrolled / sectionHeight));
 
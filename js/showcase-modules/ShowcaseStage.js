@@ -8,7 +8,16 @@ import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
 import { OutlinePass } from 'three/addons/postprocessing/OutlinePass.js';
-import ResizeManager from '../resize-manager.js';
+import SharedRenderer from '../shared-renderer.js';
+import { setComposerSamples, setShadowMapSize } from '../quality-governor.js';
+
+// Knobs per QualityGovernor level (ultra = the original fidelity)
+const STAGE_QUALITY = {
+    low: { pixelRatio: 1.0, msaa: 0, bloomScale: 0.5, shadowSize: 512 },
+    medium: { pixelRatio: 1.5, msaa: 2, bloomScale: 0.5, shadowSize: 1024 },
+    high: { pixelRatio: 2.0, msaa: 4, bloomScale: 1.0, shadowSize: 2048 },
+    ultra: { pixelRatio: 2.0, msaa: 4, bloomScale: 1.0, shadowSize: 2048 }
+};
 
 // --- BACKDROP GLSL SHADERS ---
 const backdropVertexShader = `
@@ -169,7 +178,10 @@ function generateProceduralTextures(size = 1024) {
  * @param {Object} config - Configuration object
  * @param {number} config.startZ - Initial camera Z position
  * @param {number} [config.cameraY=2] - Camera Y position
- * @returns {Object} Stage object with scene, camera, renderer, composer, outlinePass, dispose
+ * @param {Function} [config.onContextLost] - WebGL context lost (pause the loop)
+ * @param {Function} [config.onContextRestored] - Context back, stage resources already re-uploaded
+ * @returns {Object} Stage object with scene, camera, renderer (shared), view, composer, outlinePass,
+ *   resize, applyQuality, dispose
  */
 export function createStage(uiConfig, config) {
     const { container } = uiConfig;
@@ -178,7 +190,6 @@ export function createStage(uiConfig, config) {
 
     // Track disposables for cleanup
     const disposables = [];
-    let resizeUnsubscribe = null;
 
     // --- SCENE SETUP ---
     const scene = new THREE.Scene();
@@ -196,19 +207,24 @@ export function createStage(uiConfig, config) {
     camera.lookAt(0, 0, 0);
 
     // --- RENDERER SETUP ---
-    const renderer = new THREE.WebGLRenderer({
-        antialias: true,
-        powerPreference: 'high-performance'
+    // View of the page-wide shared renderer: own canvas, own settings
+    const view = SharedRenderer.createView(container, {
+        pixelRatio: Math.min(window.devicePixelRatio, 2),
+        clearColor: 0x080808,
+        clearAlpha: 1,
+        outputColorSpace: THREE.SRGBColorSpace,
+        toneMapping: THREE.ACESFilmicToneMapping,
+        toneMappingExposure: 1.0, // Stabilized exposure
+        shadowMap: { enabled: true, type: THREE.PCFSoftShadowMap },
+        onContextLost: () => {
+            if (config.onContextLost) config.onContextLost();
+        },
+        onContextRestored: () => {
+            restoreGroundMaps();
+            if (config.onContextRestored) config.onContextRestored();
+        }
     });
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    renderer.setSize(container.clientWidth, container.clientHeight);
-    renderer.setClearColor(0x080808, 1);
-    renderer.outputColorSpace = THREE.SRGBColorSpace;
-    renderer.toneMapping = THREE.ACESFilmicToneMapping;
-    renderer.toneMappingExposure = 1.0; // Stabilized exposure
-    renderer.shadowMap.enabled = true;
-    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-    container.appendChild(renderer.domElement);
+    const renderer = view.renderer;
 
     // --- EFFECT COMPOSER ---
     // Create a Multi-Sample Render Target to restore Antialiasing (MSAA)
@@ -222,6 +238,7 @@ export function createStage(uiConfig, config) {
     );
 
     const composer = new EffectComposer(renderer, renderTarget);
+    composer.setPixelRatio(view.getPixelRatio());
     const renderPass = new RenderPass(scene, camera);
     renderPass.clearColor = new THREE.Color(0x080808);
     renderPass.clearAlpha = 1;
@@ -310,6 +327,16 @@ export function createStage(uiConfig, config) {
     scene.add(ground);
     disposables.push(groundGeometry, groundMaterial);
 
+    // Context restore: the procedural maps upload again from their generated canvases
+    // (regenerating the noise would only cost time, the canvases are still in memory)
+    function restoreGroundMaps() {
+        const anisotropy = renderer.capabilities.getMaxAnisotropy();
+        [roughnessMap, normalMap].forEach(t => {
+            t.anisotropy = anisotropy;
+            t.needsUpdate = true;
+        });
+    }
+
     // --- BACKDROP SPHERE (Vertical Gradient Shader) ---
     const backdropGeometry = new THREE.SphereGeometry(500, 32, 32);
     const backdropUniforms = {
@@ -331,29 +358,43 @@ export function createStage(uiConfig, config) {
     // Track manually for strict disposal
     // disposables.push(backdropGeometry, backdropMaterial); // Adding them to generic disposables too just in case
 
+    // --- QUALITY (QualityGovernor level, applied by the orchestrator) ---
+    let quality = STAGE_QUALITY.ultra;
+
+    function applyQuality(level) {
+        quality = STAGE_QUALITY[level];
+        view.setPixelRatio(Math.min(window.devicePixelRatio, quality.pixelRatio));
+        composer.setPixelRatio(view.getPixelRatio());
+        setComposerSamples(composer, quality.msaa);
+        setShadowMapSize(coreSpotLight, quality.shadowSize);
+        resize();
+    }
+
     // --- RESIZE HANDLER ---
-    resizeUnsubscribe = ResizeManager.subscribe(() => {
+    // Called by the showcase orchestrator (scene registry -> ResizeManager), before labels and interaction
+    function resize() {
         if (!container) return;
         const width = container.clientWidth;
         const height = container.clientHeight;
 
         camera.aspect = width / height;
         camera.updateProjectionMatrix();
-        renderer.setSize(width, height);
+        view.setSize(width, height);
         composer.setSize(width, height);
 
+        // Bloom at reduced resolution on the lower levels (composer.setSize just reset it to full)
+        if (quality.bloomScale !== 1) {
+            const bloomRatio = view.getPixelRatio() * quality.bloomScale;
+            bloomPass.setSize(width * bloomRatio, height * bloomRatio);
+        }
+
         if (outlinePass) {
             outlinePass.setSize(width, height);
         }
-    });
+    }
 
     // --- DISPOSE METHOD ---
     function dispose() {
-        // Unsubscribe from resize
-        if (resizeUnsubscribe) {
-            resizeUnsubscribe();
-        }
-
         // Dispose generic tracked resources
         disposables.forEach(resource => {
             if (resource && resource.dispose) {
@@ -368,13 +409,8 @@ export function createStage(uiConfig, config) {
             backdropMaterial.dispose();
         }
 
-        // Dispose renderer
-        renderer.dispose();
-
-        // Remove canvas from DOM
-        if (renderer.domElement && renderer.domElement.parentNode) {
-            renderer.domElement.parentNode.removeChild(renderer.domElement);
-        }
+        // Release the shared renderer view (removes our canvas from the DOM)
+        view.dispose();
 
         console.log('[ShowcaseStage] Disposed');
     }
@@ -385,10 +421,13 @@ export function createStage(uiConfig, config) {
         scene,
         camera,
         renderer,
+        view,
         composer,
         outlinePass,
         ground,
         coreSpotLight,
+        resize,
+        applyQuality,
         update: (time) => {
             if (coreSpotLight) {
                 // Irregular breathing: sum of two sine waves with prime-ish ratios
@@ -0,0 +1,61 @@
+/**
+ * AOX Bake Worker
+ * Runs geometry merge, normalization and surface sampling off the baker's main thread.
+ * One job per worker: the page terminates the worker to cancel an in-flight bake.
+ * The bake itself is AoxBakePipeline, the same code path as tools/aox-bake.js.
+ *
+ * In:  { type: 'prepare' | 'bake', meshes | models, targetRadius, count?, color?, normal?, sizeMode?, ordering?, seed?, weighting? }
+ *      `models` (see runCompositeBake) instead of `meshes` for a composite bake
+ * Out: { type: 'stage', label }
+ *      { type: 'progress', done, total }
+ *      { type: 'prepared', positions, index, vertexCount, faceCount }
+ *      { type: 'baked', points, colors, sizes, normals, groups, budgets?, ordering, seed, pathBefore, pathAfter }
+ *      { type: 'error', message }
+ */
+
+import { prepareBakeGeometry, runBake, prepareCompositeGeometry, runCompositeBake } from '../js/aox-modules/AoxBakePipeline.js';
+
+const onStage = (label) => self.postMessage({ type: 'stage', label });
+
+self.onmessage = (event) => {
+    const job = event.data;
+
+    try {
+        if (job.type === 'prepare') {
+            const { positions, index, vertexCount, faceCount } = job.models
+                ? prepareCompositeGeometry(job.models, job.targetRadius, onStage)
+                : prepareBakeGeometry(job.meshes, job.targetRadius, onStage);
+            self.postMessage(
+                { type: 'prepared', positions, index, vertexCount, faceCount },
+                [positions.buffer, index.buffer]
+            );
+            return;
+        }
+
+        if (job.type === 'bake') {
+            const options = {
+                targetRadius: job.targetRadius,
+                count: job.count,
+                color: job.color,
+                normal: job.normal,
+                sizeMode: job.sizeMode,
+                ordering: job.ordering,
+                seed: job.seed ?? null,
+                weighting: job.weighting ?? null,
+                onStage,
+                onProgress: (done, total) => self.postMessage({ type: 'progress', done, total })
+            };
+            const result = job.models ? runCompositeBake(job.models, options) : runBake(job.meshes, options);
+
+            const transfer = [result.points, result.colors, result.sizes, result.normals, result.groups]
+                .filter(Boolean)
+                .map(array => array.buffer);
+            self.postMessage({ type: 'baked', ...result }, transfer);
+            return;
+        }
+
+        throw new Error(`Unknown job type "${job.type}"`);
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
@@ -0,0 +1,370 @@
+#!/usr/bin/env node
+/**
+ * AOX Bake (headless)
+ * Node counterpart of tools/aox-pro-baker.html: reads a .glb, writes a .aox (or legacy .json) bake.
+ * An .svg input, or --text with a TrueType --font, is extruded into a thin slab first (AoxExtrude).
+ * Several models make a composite bake (runCompositeBake): one point per model group, GROUP channel.
+ * Uses the same reader (AoxGlbReader) and pipeline (AoxBakePipeline) as the browser tool, so
+ * the same model, options and seed produce the same bake (bit-identical with Chromium, both run V8).
+ *
+ * Usage:
+ *   npm run bake -- <model.glb> --ambito <name> [options]
+ *   node tools/aox-bake.js assets/models/deer.glb --ambito spazi --seed 42
+ *   node tools/aox-bake.js assets/Images/puma-logo.svg --ambito puma --depth 0.05
+ *   node tools/aox-bake.js --text "VOLTERA" --font fonts/Brand.ttf --ambito wordmark --color off
+ *   node tools/aox-bake.js a.glb b.glb --ambito duo --place=-2,0,0 --place "2,0,0/0,90,0/0.5" --share 2 --share 1
+ *
+ * Options:
+ *   --ambito <name>      Ambito id written in the metadata (required)
+ *   --variant <id>       Variant id of the ambito (manifest `variants`), e.g. b -> data/aox/<ambito>B.aox
+ *   --count <n>          Sample count (default 50000)
+ *   --radius <r>         Target radius (default 4)
+ *   --seed <seed>        Integer or any text (hashed); random when omitted, always printed
+ *   --ordering <method>  sphere | morton | none (default sphere)
+ *   --color <on|off>     COLOR channel (default on)
+ *   --normal <on|off>    NORMAL channel (default on)
+ *   --size <mode>        off | luminance | jitter (default off)
+ *   --weight <source>    none | vertexColor | curvature | attribute:<NAME> (default none)
+ *   --weight-strength <s>  0 - 1, blend between uniform and weighted density (default 1)
+ *   --mesh-weights <list>  Comma-separated multiplier per mesh (primitive order), 0 excludes;
+ *                          repeat once per model for a composite bake
+ *   --place <x,y,z/rx,ry,rz/s>  Composite: placement of each model, in order (position / rotation
+ *                          in degrees / uniform scale, trailing parts optional; default identity)
+ *   --share <n>          Composite: relative part of the point budget of each model, in order (default 1)
+ *   --text <string>      Text source ("\n" for a new line), added after the file inputs
+ *   --font <file.ttf>    TrueType font of --text
+ *   --depth <d>          Extrusion of .svg / text sources, fraction of their largest side (default 0.08, 0 = flat)
+ *   --encoding <enc>     int16 | float16 (default int16, .aox only)
+ *   --json               Write the legacy JSON format instead of .aox
+ *   --out <path>         Output file (default data/aox/<ambito>[<Variant>].aox|.json)
+ *
+ * Base color textures are not decoded here (no image decoder in Node): textured models bake
+ * with material/vertex colors only, and a warning says the result differs from the browser tool.
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { basename, dirname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { parseGltf, extractBakeMeshes } from '../js/aox-modules/AoxGlbReader.js';
+import { parseSvgOutlines } from '../js/aox-modules/AoxSvgReader.js';
+import { parseFont, textOutlines } from '../js/aox-modules/AoxFontReader.js';
+import { extrudeShapes } from '../js/aox-modules/AoxExtrude.js';
+import { runBake, runCompositeBake, DEFAULT_BAKE_OPTIONS, IDENTITY_TRANSFORM } from '../js/aox-modules/AoxBakePipeline.js';
+import { BAKE_ORDERINGS } from '../js/aox-modules/AoxBakeOrder.js';
+import { BAKE_SIZE_MODES } from '../js/aox-modules/AoxBakeSampler.js';
+import { encodeAoxBake, AoxEncoding, AOX_EXTENSION } from '../js/aox-modules/AoxBakeFormat.js';
+import { parseSeed, randomSeed } from '../js/aox-modules/AoxRandom.js';
+import { BAKE_WEIGHTINGS } from '../js/aox-modules/AoxBakeWeights.js';
+
+const USAGE = 'Usage: node tools/aox-bake.js <model.glb|logo.svg> [more ...] [--text s --font f.ttf] [--depth d] --ambito <name> [--variant id] [--count n] [--radius r] [--seed s] ' +
+    '[--ordering sphere|morton|none] [--color on|off] [--normal on|off] [--size off|luminance|jitter] ' +
+    '[--weight none|vertexColor|curvature|attribute:NAME] [--weight-strength s] [--mesh-weights 1,0,...] ' +
+    '[--place x,y,z/rx,ry,rz/s ...] [--share n ...] [--encoding int16|float16] [--json] [--out path]';
+
+function fail(message) {
+    console.error(`[AOX Bake] ${message}`);
+    process.exit(1);
+}
+
+function parseOnOff(value, name) {
+    if (value === 'on') return true;
+    if (value === 'off') return false;
+    fail(`--${name} must be "on" or "off"`);
+}
+
+function parseMeshWeights(value) {
+    if (!value) return null;
+    const meshWeights = value.split(',').map(Number);
+    if (meshWeights.some(w => !(w >= 0))) fail(`Invalid --mesh-weights "${value}"`);
+    return meshWeights.every(w => w === 1) ? null : meshWeights;
+}
+
+// Same shape as the baker's getWeighting(): null for a plain area-weighted bake
+function parseWeighting(values, meshWeights) {
+    const [source, attribute = null] = values.weight.split(':');
+    if (!BAKE_WEIGHTINGS.includes(source)) fail(`--weight must be one of ${BAKE_WEIGHTINGS.join(', ')}`);
+    if (source === 'attribute' && !attribute) fail('--weight attribute needs a name, e.g. attribute:_WEIGHT');
+
+    const strength = Number(values['weight-strength']);
+    if (!(strength >= 0 && strength <= 1)) fail(`Invalid --weight-strength "${values['weight-strength']}"`);
+
+    if (source === 'none' && !meshWeights) return null;
+    return { source, attribute, strength, meshWeights };
+}
+
+// "x,y,z/rx,ry,rz/s": same fields as the baker's transform inputs
+function parsePlacement(value) {
+    const [position, rotation, scale] = value.split('/');
+    const vector = (text, fallback) => {
+        if (text === undefined || text.trim() === '') return fallback;
+        const v = text.split(',').map(Number);
+        if (v.length !== 3 || !v.every(Number.isFinite)) fail(`Invalid --place "${value}"`);
+        return v;
+    };
+
+    const transform = {
+        position: vector(position, IDENTITY_TRANSFORM.position),
+        rotation: vector(rotation, IDENTITY_TRANSFORM.rotation),
+        scale: scale === undefined || scale.trim() === '' ? IDENTITY_TRANSFORM.scale : Number(scale)
+    };
+    if (!(transform.scale > 0)) fail(`Invalid --place scale in "${value}"`);
+    return transform;
+}
+
+// One entry per source; a single model keeps the plain bake (and its meshWeights in the weighting)
+function parseModels(values, inputs) {
+    const perModel = (name) => {
+        const list = values[name] || [];
+        if (list.length > inputs.length) fail(`${list.length} --${name} for ${inputs.length} model(s)`);
+        return list;
+    };
+
+    const places = perModel('place');
+    const shares = perModel('share');
+    const meshWeights = perModel('mesh-weights');
+
+    return inputs.map((source, i) => {
+        const share = shares[i] === undefined ? 1 : Number(shares[i]);
+        if (!(share > 0)) fail(`Invalid --share "${shares[i]}"`);
+
+        return {
+            ...source,
+            transform: places[i] ? parsePlacement(places[i]) : { ...IDENTITY_TRANSFORM },
+            share,
+            meshWeights: parseMeshWeights(meshWeights[i])
+        };
+    });
+}
+
+function parseOptions() {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                ambito: { type: 'string' },
+                variant: { type: 'string' },
+                count: { type: 'string', default: String(DEFAULT_BAKE_OPTIONS.count) },
+                radius: { type: 'string', default: String(DEFAULT_BAKE_OPTIONS.targetRadius) },
+                seed: { type: 'string' },
+                ordering: { type: 'string', default: DEFAULT_BAKE_OPTIONS.ordering },
+                color: { type: 'string', default: 'on' },
+                normal: { type: 'string', default: 'on' },
+                size: { type: 'string', default: DEFAULT_BAKE_OPTIONS.sizeMode },
+                weight: { type: 'string', default: 'none' },
+                'weight-strength': { type: 'string', default: '1' },
+                'mesh-weights': { type: 'string', multiple: true },
+                place: { type: 'string', multiple: true },
+                share: { type: 'string', multiple: true },
+                text: { type: 'string' },
+                font: { type: 'string' },
+                depth: { type: 'string', default: '0.08' },
+                encoding: { type: 'string', default: 'int16' },
+                json: { type: 'boolean', default: false },
+                out: { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (err) {
+        fail(`${err.message}\n${USAGE}`);
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+
+    const sources = positionals.map(input => ({ input }));
+    if (values.text !== undefined) {
+        if (!values.text.trim()) fail('--text is empty');
+        if (!values.font) fail('--text needs a TrueType --font');
+        sources.push({ text: values.text.replace(/\\n/g, '\n'), font: values.font });
+    }
+    if (sources.length === 0) fail(`Missing input model\n${USAGE}`);
+    const models = parseModels(values, sources);
+
+    const depth = Number(values.depth);
+    if (!(depth >= 0)) fail(`Invalid --depth "${values.depth}"`);
+
+    const ambito = values.ambito?.trim();
+    if (!ambito) fail('--ambito is required (it is written in the bake metadata)');
+    const variant = values.variant?.trim() || null;
+
+    const count = Number(values.count);
+    if (!Number.isInteger(count) || count <= 0) fail(`Invalid --count "${values.count}"`);
+
+    const targetRadius = Number(values.radius);
+    if (!Number.isFinite(targetRadius) || targetRadius <= 0) fail(`Invalid --radius "${values.radius}"`);
+
+    if (!BAKE_ORDERINGS.includes(values.ordering)) fail(`--ordering must be one of ${BAKE_ORDERINGS.join(', ')}`);
+    if (!BAKE_SIZE_MODES.includes(values.size)) fail(`--size must be one of ${BAKE_SIZE_MODES.join(', ')}`);
+    if (!['int16', 'float16'].includes(values.encoding)) fail('--encoding must be "int16" or "float16"');
+
+    const extension = values.json ? '.json' : AOX_EXTENSION;
+    // Same naming as the manifest points: brand + variant b -> brandB
+    const baseName = ambito.replace(/\s+/g, '_') + (variant ? variant.charAt(0).toUpperCase() + variant.slice(1) : '');
+    const out = values.out || join('data', 'aox', `${baseName}${extension}`);
+
+    return {
+        models,
+        composite: models.length > 1,
+        depth,
+        out,
+        ambito,
+        variant,
+        json: values.json,
+        encoding: values.encoding,
+        seed: parseSeed(values.seed) ?? randomSeed(),
+        bake: {
+            count,
+            targetRadius,
+            ordering: values.ordering,
+            color: parseOnOff(values.color, 'color'),
+            normal: parseOnOff(values.normal, 'normal'),
+            sizeMode: values.size,
+            weighting: parseWeighting(values, models.length > 1 ? null : models[0].meshWeights)
+        }
+    };
+}
+
+function serializeBake(result, options, source, composition) {
+    const meta = {
+        ambito: options.ambito,
+        targetRadius: options.bake.targetRadius,
+        ordering: result.ordering,
+        seed: result.seed,
+        weighting: options.bake.weighting,
+        source
+    };
+    if (options.variant) meta.variant = options.variant;
+    if (composition) meta.models = composition;
+
+    if (options.json) {
+        const data = {
+            ambito: meta.ambito,
+            ...(meta.variant && { variant: meta.variant }),
+            count: result.points.length / 3,
+            ordering: meta.ordering,
+            seed: meta.seed,
+            weighting: meta.weighting,
+            points: Array.from(result.points)
+        };
+        if (composition) data.models = composition;
+        if (result.colors) data.colors = Array.from(result.colors);
+        if (result.sizes) data.sizes = Array.from(result.sizes);
+        if (result.normals) data.normals = Array.from(result.normals);
+        if (result.groups) data.groups = Array.from(result.groups);
+        return JSON.stringify(data, null, 2);
+    }
+
+    const buffer = encodeAoxBake(result.points, {
+        encoding: AoxEncoding[options.encoding.toUpperCase()],
+        colors: result.colors || undefined,
+        sizes: result.sizes || undefined,
+        normals: result.normals || undefined,
+        groups: result.groups || undefined,
+        meta
+    });
+    return new Uint8Array(buffer);
+}
+
+function toArrayBuffer(file) {
+    return file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+}
+
+// Same shape as extractBakeMeshes for every source kind
+async function extractModel(model, depth) {
+    if (model.text !== undefined) {
+        const font = parseFont(toArrayBuffer(await readFile(model.font)));
+        const outlines = textOutlines(font, model.text);
+        const extracted = extrudeShapes(outlines.shapes, { depth });
+        return { ...extracted, warnings: [...outlines.warnings, ...extracted.warnings] };
+    }
+
+    if (/\.svg$/i.test(model.input)) {
+        const outlines = parseSvgOutlines(await readFile(model.input, 'utf8'), { name: basename(model.input) });
+        const extracted = extrudeShapes(outlines.shapes, { depth });
+        return { ...extracted, warnings: [...outlines.warnings, ...extracted.warnings] };
+    }
+
+    return extractBakeMeshes(parseGltf(toArrayBuffer(await readFile(model.input))));
+}
+
+async function loadModel(model, depth) {
+    const source = model.text !== undefined
+        ? `"${model.text.replace(/\n/g, ' ')}" (${basename(model.font)})`
+        : basename(model.input);
+    const { meshes, meshCount, vertexCount, warnings } = await extractModel(model, depth);
+
+    warnings.forEach(warning => console.warn(`[AOX Bake] ${source}: ${warning}`));
+    if (meshes.length === 0) fail(`No valid meshes found in ${source}`);
+
+    console.log(`[AOX Bake] ${source}: ${meshCount} mesh(es), ${vertexCount.toLocaleString()} vertices`);
+    return { ...model, name: source, meshes };
+}
+
+async function main() {
+    const options = parseOptions();
+    const models = [];
+    for (const model of options.models) models.push(await loadModel(model, options.depth));
+
+    const textured = models.reduce((sum, model) => sum + model.meshes.filter(mesh => mesh.image).length, 0);
+    if (textured > 0 && (options.bake.color || options.bake.sizeMode === 'luminance')) {
+        console.warn(`[AOX Bake] ${textured} textured mesh(es): textures are not sampled in Node, ` +
+            'colors will differ from the browser baker');
+    }
+
+    models.forEach((model, m) => {
+        if (options.composite) {
+            const { position, rotation, scale } = model.transform;
+            console.log(`[AOX Bake] Group ${m}: ${model.name} at (${position.join(', ')}) rot (${rotation.join(', ')}) ×${scale}, share ${model.share}`);
+        }
+        const meshWeights = options.composite ? model.meshWeights : options.bake.weighting?.meshWeights;
+        model.meshes.forEach((mesh, i) => {
+            const weight = meshWeights?.[i] ?? 1;
+            console.log(`[AOX Bake]   ${i}: ${mesh.name} ×${weight}${weight === 0 ? ' (excluded)' : ''}`);
+        });
+    });
+    console.log(`[AOX Bake] ${options.bake.count.toLocaleString()} samples, radius ${options.bake.targetRadius}, seed ${options.seed}`);
+
+    const bakeOptions = {
+        ...options.bake,
+        seed: options.seed,
+        onStage: (label) => console.log(`[AOX Bake] ${label}`),
+        onProgress: (done, total) => {
+            if (process.stdout.isTTY) process.stdout.write(`\r[AOX Bake] Sampling ${done.toLocaleString()} / ${total.toLocaleString()}`);
+        }
+    };
+    const result = options.composite
+        ? runCompositeBake(models, bakeOptions)
+        : runBake(models[0].meshes, bakeOptions);
+    if (process.stdout.isTTY) process.stdout.write('\n');
+
+    console.log(`[AOX Bake] Mean path from sphere ${result.pathBefore.toFixed(2)} → ${result.pathAfter.toFixed(2)}`);
+
+    // Composite: what each group is, so the bake can be rebuilt (same order as the GROUP ids)
+    const composition = options.composite
+        ? models.map((model, m) => ({
+            source: model.name,
+            transform: model.transform,
+            share: model.share,
+            count: result.budgets[m],
+            meshWeights: model.meshWeights
+        }))
+        : null;
+    if (composition) {
+        composition.forEach((entry, m) => console.log(`[AOX Bake] Group ${m}: ${entry.count.toLocaleString()} points`));
+    }
+
+    const source = models.map(model => model.name).join(' + ');
+    const output = serializeBake(result, options, source, composition);
+    await mkdir(dirname(options.out), { recursive: true });
+    await writeFile(options.out, output);
+
+    const size = typeof output === 'string' ? Buffer.byteLength(output) : output.byteLength;
+    console.log(`[AOX Bake] Written ${options.out} (${(size / 1024).toFixed(1)} KB, ambito "${options.ambito}", seed ${result.seed})`);
+}
+
+main().catch(err => fail(err.message));